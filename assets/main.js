@@ -1,17 +1,536 @@
 (() => {
-    // footer
+    // footer, messages are loaded from /assets/footer.json:
+    // {
+    //     "mode": "random" | "daily" | "rotate",  (can be overridden with data-mode on #footerContent)
+    //     "rotateInterval": ms between the messages in the "rotate" mode,
+    //     "typewriter": types the messages out in the "rotate" mode,
+    //     "messages": [{ "text" | "html": string, "weight"?: number (default 1), "from"?: "MM-DD" | "YYYY-MM-DD", "to"?: same }]
+    // }
+    // "html" only keeps the tags and attributes in allowedMarkup, the rest turns into its text.
     const footer = document.getElementById("footerContent");
-
-    if (footer) {
-        // as innerHTML
-        const randFooterContent = [
-            '<span class="text-light-red">GUI Error:</span> You are pushing more GUIClips than you are popping. Make sure they are balanced.',
-            '<span class="text-gradient-colors">cat /dev/urandom</span>',
-            '<code>print(chr(sum(range(ord(min(str(not())))))))</code>'
-        ];
-
-        footer.innerHTML = randFooterContent[Math.floor(Math.random() * randFooterContent.length)];
-    } else {
+    if (!footer) {
         console.warn("[blog] no element with id 'footerContent'");
+        return;
     }
+
+    /** @type {Record<string, string[]>} tag => allowed attributes */
+    const allowedMarkup = {
+        span: ["class"],
+        code: ["class"],
+        b: ["class"],
+        i: ["class"],
+        em: ["class"],
+        strong: ["class"],
+        sub: ["class"],
+        sup: ["class"],
+        br: [],
+        a: ["class", "href"],
+    };
+
+    /**
+     * Copy the allowed subset of the nodes into a new fragment.
+     * @param {Node} source
+     * @param {Node} target
+     */
+    const copyAllowed = (source, target) => {
+        for (const node of source.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                target.appendChild(document.createTextNode(node.data));
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                continue;
+            }
+
+            const tagName = node.tagName.toLowerCase();
+            const attributes = allowedMarkup[tagName];
+            if (!attributes) {
+                // unknown tags are unwrapped, scripts and styles are dropped entirely
+                if (tagName !== "script" && tagName !== "style") {
+                    copyAllowed(node, target);
+                }
+                continue;
+            }
+
+            const elem = document.createElement(tagName);
+            for (const attribute of attributes) {
+                const value = node.getAttribute(attribute);
+                if (value === null) {
+                    continue;
+                }
+                // no javascript: and the likes
+                if (attribute === "href" && !/^(https?:|\/|#)/i.test(value.trim())) {
+                    continue;
+                }
+
+                elem.setAttribute(attribute, value);
+            }
+            copyAllowed(node, elem);
+            target.appendChild(elem);
+        }
+    };
+
+    /**
+     * @param {{ text?: string, html?: string }} message
+     * @returns {DocumentFragment}
+     */
+    const renderMessage = (message) => {
+        const fragment = document.createDocumentFragment();
+        if (typeof message.html === "string") {
+            // template content is inert, nothing in it loads or runs
+            const template = document.createElement("template");
+            template.innerHTML = message.html;
+            copyAllowed(template.content, fragment);
+        } else {
+            fragment.appendChild(document.createTextNode(String(message.text ?? "")));
+        }
+
+        return fragment;
+    };
+
+    /**
+     * Check the "from"/"to" of the message. "MM-DD" repeats every year (and can wrap over the new year), "YYYY-MM-DD" doesn't.
+     * @param {{ from?: string, to?: string }} message
+     * @param {Date} date
+     */
+    const isInDateRange = (message, date) => {
+        if (!message.from && !message.to) {
+            return true;
+        }
+
+        const pad = (n) => String(n).padStart(2, "0");
+        const monthDay = `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const fullDate = `${date.getFullYear()}-${monthDay}`;
+        const isYearly = (value) => /^\d{2}-\d{2}$/.test(value ?? "");
+
+        if (isYearly(message.from) || isYearly(message.to)) {
+            const from = message.from ?? "01-01";
+            const to = message.to ?? "12-31";
+            return from <= to ? (monthDay >= from && monthDay <= to) : (monthDay >= from || monthDay <= to);
+        }
+
+        return (!message.from || fullDate >= message.from) && (!message.to || fullDate <= message.to);
+    };
+
+    /**
+     * Pick a message by weight.
+     * @param {{ weight?: number }[]} messages
+     * @param {() => number} random returns [0, 1)
+     */
+    const pickWeighted = (messages, random) => {
+        const weights = messages.map((m) => (typeof m.weight === "number" ? Math.max(0, m.weight) : 1));
+        let target = random() * weights.reduce((sum, w) => sum + w, 0);
+        for (let i = 0; i < messages.length; i++) {
+            target -= weights[i];
+            if (target < 0) {
+                return messages[i];
+            }
+        }
+
+        return messages[messages.length - 1];
+    };
+
+    /**
+     * Seeded random (mulberry32), seeded with a FNV-1a hash of the string.
+     * @param {string} seed
+     * @returns {() => number}
+     */
+    const seededRandom = (seed) => {
+        let state = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193);
+        }
+
+        return () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    /**
+     * Show the message, typing out its text if asked.
+     * @param {Object} message
+     * @param {boolean} typewriter
+     * @returns {Promise<void>} resolves once the message is fully shown
+     */
+    const showMessage = (message, typewriter) => {
+        const fragment = renderMessage(message);
+        if (!typewriter) {
+            footer.replaceChildren(fragment);
+            return Promise.resolve();
+        }
+
+        // empty the text nodes and fill them back in, the markup stays as is
+        const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push({ node: walker.currentNode, text: walker.currentNode.data });
+            walker.currentNode.data = "";
+        }
+        footer.replaceChildren(fragment);
+
+        return new Promise((resolve) => {
+            let nodeIndex = 0;
+            let charIndex = 0;
+            const typeInterval = setInterval(() => {
+                while (nodeIndex < textNodes.length && charIndex >= textNodes[nodeIndex].text.length) {
+                    nodeIndex++;
+                    charIndex = 0;
+                }
+                if (nodeIndex >= textNodes.length) {
+                    clearInterval(typeInterval);
+                    resolve();
+                    return;
+                }
+
+                const { node, text } = textNodes[nodeIndex];
+                node.data = text.slice(0, ++charIndex);
+            }, 30);
+        });
+    };
+
+    fetch(new URL("/assets/footer.json", document.baseURI))
+        .then((response) => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        })
+        .then((pool) => {
+            const now = new Date();
+            const messages = (pool.messages ?? []).filter((m) => isInDateRange(m, now) && !(typeof m.weight === "number" && m.weight <= 0));
+            if (messages.length <= 0) {
+                // keeps the static footer
+                return;
+            }
+
+            const mode = footer.dataset.mode ?? pool.mode ?? "random";
+            if (mode === "daily") {
+                // same message for everyone on the same (local) date
+                const seed = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+                showMessage(pickWeighted(messages, seededRandom(seed)), false);
+                return;
+            }
+            if (mode !== "rotate" || messages.length <= 1) {
+                showMessage(pickWeighted(messages, Math.random), false);
+                return;
+            }
+
+            const typewriter = !!pool.typewriter && !window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+            const interval = typeof pool.rotateInterval === "number" && pool.rotateInterval > 0 ? pool.rotateInterval : 10000;
+            let current = null;
+            const rotate = async () => {
+                // never the same message twice in a row
+                const next = pickWeighted(messages.filter((m) => m !== current), Math.random);
+                current = next;
+                await showMessage(next, typewriter);
+                setTimeout(rotate, interval);
+            };
+            footer.setAttribute("aria-live", "off");
+            rotate();
+        })
+        .catch((e) => {
+            console.warn("[blog] failed to load the footer messages", e);
+        });
+})();
+
+(() => {
+    // games, shared by the catalog and the terminal below
+    /**
+     * Games from /games/index.json, with their manifests (see UnityGameManifest in unity-launcher.js) and the urls resolved.
+     * @returns {Promise<Object[]>}
+     */
+    const fetchGames = async () => {
+        const indexUrl = new URL("/games/index.json", document.baseURI);
+        const indexResponse = await fetch(indexUrl);
+        if (!indexResponse.ok) {
+            throw new Error(`failed to load the games index, HTTP ${indexResponse.status}`);
+        }
+        const index = await indexResponse.json();
+
+        const games = await Promise.all(index.games.map(async (id) => {
+            const manifestUrl = new URL(`${id}/manifest.json`, indexUrl);
+            // one broken game shouldn't take the whole catalog with it
+            try {
+                const response = await fetch(manifestUrl);
+                if (!response.ok) {
+                    console.warn(`[blog] failed to load the manifest of game '${id}', HTTP ${response.status}`);
+                    return null;
+                }
+
+                const manifest = await response.json();
+                return Object.assign(manifest, {
+                    id,
+                    page: new URL(manifest.page ?? "index.html", manifestUrl).href,
+                    logo: manifest.logo ? new URL(manifest.logo, manifestUrl).href : null,
+                });
+            } catch (e) {
+                console.warn(`[blog] failed to load the manifest of game '${id}'`, e);
+                return null;
+            }
+        }));
+
+        return games.filter(Boolean);
+    };
+
+    // the catalog and the terminal share the same fetch, a failed one is retried on the next call
+    let gamesPromise = null;
+    const loadGames = () => {
+        gamesPromise ??= fetchGames().catch((e) => {
+            gamesPromise = null;
+            throw e;
+        });
+        return gamesPromise;
+    };
+
+    (() => {
+        // games catalog, built from /games/index.json and the manifest of each game (see UnityGameManifest in unity-launcher.js)
+        const gamesList = document.getElementById("games");
+        if (!gamesList) {
+            console.warn("[blog] no element with id 'games'");
+            return;
+        }
+
+        /**
+         * Compare dotted version strings numerically ("1.10" > "1.9").
+         * @param {string} a
+         * @param {string} b
+         */
+        const compareVersions = (a, b) => {
+            const partsA = String(a ?? "").split(".").map((v) => parseInt(v, 10) || 0);
+            const partsB = String(b ?? "").split(".").map((v) => parseInt(v, 10) || 0);
+            for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+                const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+                if (diff !== 0) {
+                    return diff;
+                }
+            }
+
+            return 0;
+        };
+        const sorters = {
+            name: (a, b) => a.productName.localeCompare(b.productName),
+            // newest first, undated ones last
+            date: (a, b) => (b.releaseDate ?? "").localeCompare(a.releaseDate ?? "") || a.productName.localeCompare(b.productName),
+            version: (a, b) => compareVersions(b.productVersion, a.productVersion),
+        };
+
+        /**
+         * @param {string} tagName
+         * @param {string | null} text
+         * @param {Record<string, string>} attributes
+         * @returns {HTMLElement}
+         */
+        const createElem = (tagName, text = null, attributes = {}) => {
+            const elem = document.createElement(tagName);
+            if (text !== null) {
+                elem.textContent = text;
+            }
+            for (const [k, v] of Object.entries(attributes)) {
+                elem.setAttribute(k, v);
+            }
+
+            return elem;
+        };
+
+        // same as in /sw.js, the caches are named `{prefix}{game id}:{build name}`
+        const buildCachePrefix = "unity-build:";
+
+        /**
+         * Add the "available offline" badge and the cache clearing button, if the game was cached by the service worker.
+         * @param {Object} game
+         * @param {HTMLElement} parent
+         */
+        const addOfflineControls = async (game, parent) => {
+            // caches is only there in secure contexts
+            if (!window.caches) {
+                return;
+            }
+
+            const gameCacheNames = (await caches.keys()).filter((key) => key.startsWith(`${buildCachePrefix}${game.id}:`));
+            if (gameCacheNames.length <= 0) {
+                return;
+            }
+
+            const controls = createElem("span", null, { class: "game-offline" });
+            // older builds are still cached until the new one is played
+            if (gameCacheNames.includes(`${buildCachePrefix}${game.id}:${game.buildName ?? game.productVersion}`)) {
+                controls.appendChild(createElem("span", "available offline", { class: "game-offline-badge" }));
+            }
+
+            const clearButton = createElem("button", "clear cache", { type: "button", class: "game-offline-clear", "aria-label": `Clear the offline cache of ${game.productName}` });
+            clearButton.addEventListener("click", async () => {
+                await Promise.all(gameCacheNames.map((key) => caches.delete(key)));
+                controls.remove();
+            });
+            controls.appendChild(clearButton);
+
+            parent.appendChild(controls);
+        };
+
+        /**
+         * @param {Object} game Manifest, with the urls resolved.
+         * @returns {HTMLLIElement}
+         */
+        const createEntry = (game) => {
+            const entry = createElem("li", null, { class: "game-entry" });
+            if (game.logo) {
+                entry.appendChild(createElem("img", null, { class: "game-logo", src: game.logo, alt: "", loading: "lazy" }));
+            }
+
+            const info = createElem("div");
+            info.appendChild(createElem("a", game.productName, { href: game.page }));
+            info.appendChild(createElem("br"));
+
+            const details = [game.productVersion];
+            if (game.releaseDate) {
+                details.push(game.releaseDate);
+            }
+            details.push((game.platforms ?? ["desktop"]).join("/"));
+            if (game.itchUrl) {
+                info.appendChild(createElem("a", "itch.io", { href: game.itchUrl }));
+                info.appendChild(document.createTextNode(" "));
+            }
+            info.appendChild(createElem("sub", `(${details.join(", ")})`));
+            addOfflineControls(game, info).catch((e) => console.warn(`[blog] failed to check the offline cache of game '${game.id}'`, e));
+
+            entry.appendChild(info);
+            return entry;
+        };
+
+        loadGames().then((games) => {
+            const controls = createElem("div", null, { class: "games-controls" });
+            const filterInput = createElem("input", null, { type: "search", placeholder: "grep", "aria-label": "Filter games" });
+            const sortSelect = createElem("select", null, { "aria-label": "Sort games" });
+            for (const [value, label] of [["name", "sort: name"], ["date", "sort: release date"], ["version", "sort: version"]]) {
+                sortSelect.appendChild(createElem("option", label, { value }));
+            }
+            controls.append(filterInput, sortSelect);
+            gamesList.before(controls);
+
+            const render = () => {
+                const filter = filterInput.value.trim().toLowerCase();
+                const shown = games
+                    .filter((game) => !filter || [game.productName, game.id, game.productVersion, ...(game.platforms ?? [])].some((v) => String(v).toLowerCase().includes(filter)))
+                    .sort(sorters[sortSelect.value]);
+
+                gamesList.replaceChildren(...shown.map(createEntry));
+                if (shown.length <= 0) {
+                    gamesList.appendChild(createElem("li", "no such file or directory"));
+                }
+            };
+
+            filterInput.addEventListener("input", render);
+            sortSelect.addEventListener("change", render);
+            render();
+        }).catch((e) => {
+            console.warn("[blog] failed to load the games catalog", e);
+            gamesList.appendChild(createElem("li", "failed to load the games, try reloading."));
+        });
+    })();
+
+    (() => {
+        // terminal, a FakeTerminal (terminal.js) in a FakeWindow (window.js) over the same data as the page lists
+        const openButton = document.getElementById("terminalOpen");
+        if (!openButton) {
+            console.warn("[blog] no element with id 'terminalOpen'");
+            return;
+        }
+        if (typeof FakeTerminal === "undefined" || typeof FakeWindowManager === "undefined") {
+            console.warn("[blog] terminal.js or window.js is not loaded, no terminal");
+            return;
+        }
+
+        const dir = (children = {}, url = undefined) => ({ type: "dir", children, url });
+        const file = (content, url = undefined) => ({ type: "file", content, url });
+
+        /**
+         * Build the filesystem: ~/games from the game manifests and ~/web from the links in #webStuff.
+         * @param {Object[]} games
+         * @returns {FakeTerminalNode}
+         */
+        const buildTree = (games) => {
+            const gamesDir = dir();
+            for (const game of games) {
+                const readme = [
+                    `${game.productName} ${game.productVersion}`,
+                    `by ${game.companyName}`,
+                    `platforms: ${(game.platforms ?? ["desktop"]).join(", ")}`,
+                ];
+                if (game.releaseDate) {
+                    readme.push(`released: ${game.releaseDate}`);
+                }
+                readme.push("", `open ${game.id}`);
+
+                const children = {
+                    README: file(readme.join("\n")),
+                    "manifest.json": file(JSON.stringify(game, null, 4)),
+                };
+                if (game.itchUrl) {
+                    children["itch.io"] = file(game.itchUrl, game.itchUrl);
+                }
+                gamesDir.children[game.id] = dir(children, game.page);
+            }
+
+            const webDir = dir();
+            for (const link of document.querySelectorAll("#webStuff a[href]")) {
+                const name = link.textContent.trim().toLowerCase().replace(/[\s/]+/g, "-");
+                if (name) {
+                    webDir.children[name] = file(link.href, link.href);
+                }
+            }
+
+            return dir({
+                home: dir({ b3x: dir({ games: gamesDir, web: webDir }) }),
+                dev: dir({
+                    null: file(""),
+                    // the footer says so
+                    urandom: file(() => Array.from({ length: 8 }, () => String.fromCharCode(...Array.from({ length: 48 }, () => 33 + Math.floor(Math.random() * 94)))).join("\n")),
+                }),
+            });
+        };
+
+        let manager = null;
+        let terminalWindow = null;
+        const openTerminal = async () => {
+            if (terminalWindow) {
+                manager.activate(terminalWindow);
+                return;
+            }
+
+            let games = [];
+            try {
+                games = await loadGames();
+            } catch (e) {
+                console.warn("[blog] failed to load the games for the terminal", e);
+            }
+
+            const terminal = new FakeTerminal(buildTree(games));
+
+            manager ??= new FakeWindowManager({ taskbarParent: document.body });
+            terminalWindow = manager.create({ persistId: "terminal" }, document.body, {
+                title: "terminal",
+                content: terminal.element,
+                rect: { width: 640, height: 360 },
+            });
+            terminalWindow.on("close", () => {
+                terminalWindow = null;
+            });
+            manager.activate(terminalWindow);
+            terminal.input.focus();
+        };
+
+        // the games are still loading on the first click, a second one shouldn't open another window
+        let opening = null;
+        openButton.hidden = false;
+        openButton.addEventListener("click", () => {
+            opening ??= openTerminal()
+                .catch((e) => console.warn("[blog] failed to open the terminal", e))
+                .finally(() => {
+                    opening = null;
+                });
+        });
+    })();
 })();
@@ -0,0 +1,528 @@
+/** @summary Registers a "class/constructor" for a small shell over a virtual (read-only) filesystem, meant to live in a {@link FakeWindow}. */
+
+/**
+ * @typedef {Object} FakeTerminalNode
+ * @property {"dir" | "file"} type
+ * @property {Record<string, FakeTerminalNode> | undefined} children Entries of a directory, by name.
+ * @property {string | (() => string) | undefined} content Contents of a file, a function is called on every read.
+ * @property {string | undefined} url Page that `open` navigates to, for files and directories.
+ */
+
+/**
+ * @typedef {Object} FakeTerminalConfig
+ * @property {string} terminalClass Class "full name" for the primary terminal element.
+ * @property {string} elementClassPrefix Prefix for the element class.
+ * @property {string} outputClass Postfix for the "elementClassPrefix" for the given target element.
+ * @property {string} errorClass Postfix for the "elementClassPrefix", set on the error output lines.
+ * @property {string} inputLineClass Postfix for the "elementClassPrefix" for the given target element.
+ * @property {string} promptClass Postfix for the "elementClassPrefix" for the given target element.
+ * @property {string} inputClass Postfix for the "elementClassPrefix" for the given target element.
+ *
+ * @property {string} user
+ * @property {string} host
+ * @property {string} home Absolute path of the home directory (`~`), also the starting directory.
+ * @property {string[]} openSearchPaths Directories `open` looks in when its argument isn't a path, e.g. `open fall-xtra`.
+ *
+ * @property {number} historySize Max amount of the remembered commands. 0 disables the history.
+ * @property {string | null} historyStorageKey localStorage key to keep the history in between page loads. null keeps it in memory only.
+ */
+
+/**
+ * @typedef {Object} FakeTerminalCommand
+ * @property {string} usage
+ * @property {string} description
+ * @property {(args: string[]) => void} run Writes its output with {@link FakeTerminal.print}/{@link FakeTerminal.printError}, thrown errors are printed as well.
+ */
+
+/**
+ * Emitted events (as `CustomEvent`s, the payload is in `detail`):
+ * - `command` : `{ line: string }`, before running the command line.
+ * - `open` : `{ path: string, url: string }`, cancellable with `preventDefault()`, which skips the navigation.
+ */
+class FakeTerminal extends EventTarget {
+    /** @type {Readonly<FakeTerminalConfig>} */
+    static ConfigDefaults = Object.freeze({
+        terminalClass: "terminal",
+        elementClassPrefix: "terminal",
+        outputClass: "-output",
+        errorClass: "-error",
+        inputLineClass: "-input-line",
+        promptClass: "-prompt",
+        inputClass: "-input",
+
+        user: "b3x",
+        host: "b3x",
+        home: "/home/b3x",
+        openSearchPaths: ["~/games", "~/web"],
+
+        historySize: 100,
+        historyStorageKey: "fakeTerminalHistory",
+    });
+
+    static util = Object.freeze({
+        /**
+         * Longest common prefix of the strings.
+         *
+         * @param {string[]} strings
+         * @returns {string}
+         */
+        commonPrefix: (strings) => {
+            if (strings.length <= 0) {
+                return "";
+            }
+
+            let prefix = strings[0];
+            for (const str of strings) {
+                while (!str.startsWith(prefix)) {
+                    prefix = prefix.slice(0, -1);
+                }
+            }
+
+            return prefix;
+        },
+        /**
+         * @param {string} classNames Space separated class names.
+         * @returns {string[]}
+         */
+        splitClasses: (classNames) => classNames.split(/\s+/g).filter(Boolean),
+    });
+
+    /**
+     * Create a terminal over the given filesystem. Append {@link FakeTerminal.element} to show it.
+     *
+     * @param {FakeTerminalNode} root Root ("/") directory.
+     * @param {Partial<FakeTerminalConfig>} config
+     */
+    constructor(root, config = {}) {
+        super();
+
+        if (!root || root.type !== "dir") {
+            throw new Error("[FakeTerminal::constructor] Root has to be a directory node.");
+        }
+
+        /** @type {FakeTerminalConfig} */
+        this._config = Object.assign({}, FakeTerminal.ConfigDefaults, config);
+        /** @type {FakeTerminalNode} */
+        this.root = root;
+        /** Absolute path of the current directory. */
+        this.cwd = this.getNode(this._config.home)?.type === "dir" ? this._config.home : "/";
+
+        /** @type {string[]} Oldest first. */
+        this.history = this._loadHistory();
+        /** Position while browsing the history with the arrow keys, `history.length` is the line being typed. */
+        this._historyIndex = this.history.length;
+        /** The line being typed, kept while browsing the history. */
+        this._draft = "";
+
+        /** @type {Map<string, FakeTerminalCommand>} */
+        this.commands = new Map();
+        this._registerBuiltins();
+
+        const prefix = this._config.elementClassPrefix;
+        /** @type {HTMLElement} */
+        this.element = document.createElement("div");
+        this.element.classList.add(...FakeTerminal.util.splitClasses(this._config.terminalClass));
+
+        this.output = document.createElement("div");
+        this.output.classList.add(prefix + this._config.outputClass);
+        this.output.setAttribute("role", "log");
+        this.output.setAttribute("aria-live", "polite");
+
+        const inputLine = document.createElement("label");
+        inputLine.classList.add(prefix + this._config.inputLineClass);
+        this.prompt = document.createElement("span");
+        this.prompt.classList.add(prefix + this._config.promptClass);
+        this.input = document.createElement("input");
+        this.input.classList.add(prefix + this._config.inputClass);
+        this.input.type = "text";
+        this.input.autocomplete = "off";
+        this.input.spellcheck = false;
+        this.input.setAttribute("autocapitalize", "off");
+        this.input.setAttribute("aria-label", "Command");
+        inputLine.append(this.prompt, this.input);
+
+        this.element.append(this.output, inputLine);
+        // Clicking anywhere in the terminal types into it, unless some text is being selected
+        this.element.addEventListener("click", () => {
+            if (!window.getSelection()?.toString()) {
+                this.input.focus();
+            }
+        });
+        this.input.addEventListener("keydown", (e) => this._onKeyDown(e));
+
+        this._updatePrompt();
+        this.print('type "help" for the commands.');
+    }
+
+    /**
+     * Make a path absolute and normalized, resolving `~`, `.` and `..` against the current directory.
+     *
+     * @param {string} path
+     * @returns {string}
+     */
+    resolvePath(path) {
+        if (path === "~" || path.startsWith("~/")) {
+            path = this._config.home + path.slice(1);
+        } else if (!path.startsWith("/")) {
+            path = `${this.cwd}/${path}`;
+        }
+
+        const parts = [];
+        for (const part of path.split("/")) {
+            if (part === "" || part === ".") {
+                continue;
+            }
+            if (part === "..") {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+
+        return "/" + parts.join("/");
+    }
+
+    /**
+     * @param {string} path Absolute or relative path.
+     * @returns {FakeTerminalNode | null}
+     */
+    getNode(path) {
+        let node = this.root;
+        for (const part of this.resolvePath(path).split("/").filter(Boolean)) {
+            if (node.type !== "dir" || !Object.hasOwn(node.children ?? {}, part)) {
+                return null;
+            }
+            node = node.children[part];
+        }
+
+        return node;
+    }
+
+    /**
+     * Print a line of text to the terminal.
+     *
+     * @param {string} text
+     */
+    print(text = "") {
+        const line = document.createElement("div");
+        line.textContent = text;
+        this.output.appendChild(line);
+        this.element.scrollTop = this.element.scrollHeight;
+    }
+
+    /**
+     * @param {string} text
+     */
+    printError(text) {
+        this.print(text);
+        this.output.lastElementChild.classList.add(this._config.elementClassPrefix + this._config.errorClass);
+    }
+
+    /**
+     * Run a command line, as if it was typed in.
+     *
+     * @param {string} line
+     */
+    run(line) {
+        this.print(`${this.prompt.textContent}${line}`);
+
+        line = line.trim();
+        if (!line) {
+            return;
+        }
+        this._pushHistory(line);
+        this._emit("command", { line });
+
+        const [name, ...args] = line.split(/\s+/g);
+        const command = this.commands.get(name);
+        if (!command) {
+            this.printError(`${name}: command not found`);
+            return;
+        }
+
+        try {
+            command.run(args);
+        } catch (e) {
+            this.printError(`${name}: ${e.message}`);
+        }
+        this._updatePrompt();
+    }
+
+    /**
+     * Dispatch a `CustomEvent` on this terminal.
+     *
+     * @param {string} type
+     * @param {any} detail
+     * @param {boolean} cancelable
+     * @returns {boolean} false if the event was cancelled.
+     */
+    _emit(type, detail = null, cancelable = false) {
+        return this.dispatchEvent(new CustomEvent(type, { detail, cancelable }));
+    }
+
+    _updatePrompt() {
+        const home = this._config.home;
+        const cwd = this.cwd === home || this.cwd.startsWith(home + "/") ? "~" + this.cwd.slice(home.length) : this.cwd;
+        this.prompt.textContent = `${this._config.user}@${this._config.host}:${cwd}$ `;
+    }
+
+    _registerBuiltins() {
+        /**
+         * @param {string} path
+         * @returns {FakeTerminalNode}
+         */
+        const requireNode = (path) => {
+            const node = this.getNode(path);
+            if (!node) {
+                throw new Error(`${path}: No such file or directory`);
+            }
+
+            return node;
+        };
+
+        this.commands.set("help", {
+            usage: "help",
+            description: "list the commands",
+            run: () => {
+                const width = Math.max(...[...this.commands.values()].map((c) => c.usage.length));
+                for (const command of this.commands.values()) {
+                    this.print(`${command.usage.padEnd(width)}  ${command.description}`);
+                }
+            },
+        });
+        this.commands.set("ls", {
+            usage: "ls [path]",
+            description: "list a directory",
+            run: ([path = "."]) => {
+                const node = requireNode(path);
+                if (node.type !== "dir") {
+                    this.print(path);
+                    return;
+                }
+
+                const names = Object.entries(node.children ?? {})
+                    .map(([name, child]) => (child.type === "dir" ? `${name}/` : name))
+                    .sort();
+                this.print(names.join("  "));
+            },
+        });
+        this.commands.set("cd", {
+            usage: "cd [path]",
+            description: "change the directory, ~ by default",
+            run: ([path = "~"]) => {
+                if (requireNode(path).type !== "dir") {
+                    throw new Error(`${path}: Not a directory`);
+                }
+
+                this.cwd = this.resolvePath(path);
+            },
+        });
+        this.commands.set("pwd", {
+            usage: "pwd",
+            description: "print the current directory",
+            run: () => this.print(this.cwd),
+        });
+        this.commands.set("cat", {
+            usage: "cat <file>...",
+            description: "print files",
+            run: (paths) => {
+                if (paths.length <= 0) {
+                    throw new Error("missing file operand");
+                }
+
+                for (const path of paths) {
+                    const node = requireNode(path);
+                    if (node.type === "dir") {
+                        throw new Error(`${path}: Is a directory`);
+                    }
+
+                    const content = typeof node.content === "function" ? node.content() : (node.content ?? "");
+                    for (const line of content.split("\n")) {
+                        this.print(line);
+                    }
+                }
+            },
+        });
+        this.commands.set("open", {
+            usage: "open <path | name>",
+            description: `open a game or a page, names are looked up in ${this._config.openSearchPaths.join(", ")}`,
+            run: ([target]) => {
+                if (!target) {
+                    throw new Error("missing operand");
+                }
+
+                const path = [target, ...this._config.openSearchPaths.map((dir) => `${dir}/${target}`)]
+                    .map((p) => this.resolvePath(p))
+                    .find((p) => this.getNode(p));
+                if (!path) {
+                    throw new Error(`${target}: No such file or directory`);
+                }
+
+                const url = this.getNode(path).url;
+                if (!url) {
+                    throw new Error(`${target}: Nothing to open`);
+                }
+
+                this.print(`opening ${url}`);
+                if (this._emit("open", { path, url }, true)) {
+                    window.location.assign(url);
+                }
+            },
+        });
+        this.commands.set("history", {
+            usage: "history [-c]",
+            description: "list the previous commands, -c clears them",
+            run: ([flag]) => {
+                if (flag === "-c") {
+                    this.history = [];
+                    this._historyIndex = 0;
+                    this._saveHistory();
+                    return;
+                }
+
+                const width = String(this.history.length).length;
+                this.history.forEach((line, i) => this.print(`${String(i + 1).padStart(width)}  ${line}`));
+            },
+        });
+        this.commands.set("clear", {
+            usage: "clear",
+            description: "clear the screen",
+            run: () => this.output.replaceChildren(),
+        });
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    _onKeyDown(e) {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            const line = this.input.value;
+            this.input.value = "";
+            this._draft = "";
+            this.run(line);
+            this._historyIndex = this.history.length;
+        } else if (e.key === "Tab") {
+            // Tab stays in the terminal, the window cycles the focus with it otherwise
+            e.preventDefault();
+            e.stopPropagation();
+            this._complete();
+        } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+            // Alt+Arrows move the window
+            if (e.altKey) {
+                return;
+            }
+
+            e.preventDefault();
+            if (this._historyIndex === this.history.length) {
+                this._draft = this.input.value;
+            }
+
+            const index = Math.min(Math.max(this._historyIndex + (e.key === "ArrowUp" ? -1 : 1), 0), this.history.length);
+            this._historyIndex = index;
+            this.input.value = index < this.history.length ? this.history[index] : this._draft;
+            this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+        } else if (e.key === "l" && e.ctrlKey) {
+            e.preventDefault();
+            this.output.replaceChildren();
+        }
+    }
+
+    /**
+     * Complete the word before the caret: the command name for the first word, a path otherwise.
+     * Multiple matches complete up to their common prefix, and are listed if that doesn't add anything.
+     */
+    _complete() {
+        const caret = this.input.selectionStart ?? this.input.value.length;
+        const before = this.input.value.slice(0, caret);
+        const after = this.input.value.slice(caret);
+        const word = before.match(/\S*$/)[0];
+        const isCommand = !before.slice(0, before.length - word.length).trim();
+        // Matches are listed without their directory
+        const listFrom = isCommand ? 0 : word.lastIndexOf("/") + 1;
+
+        /** @type {string[]} Full replacements for the word. */
+        let matches;
+        if (isCommand) {
+            matches = [...this.commands.keys()].filter((name) => name.startsWith(word)).map((name) => name + " ");
+        } else {
+            const dirPart = word.slice(0, listFrom);
+            const namePart = word.slice(listFrom);
+            const dir = this.getNode(dirPart || ".");
+            matches = dir?.type !== "dir" ? [] : Object.entries(dir.children ?? {})
+                .filter(([name]) => name.startsWith(namePart))
+                .map(([name, child]) => dirPart + name + (child.type === "dir" ? "/" : " "));
+
+            // open also takes the bare names from its search paths, like "open fall-xtra"
+            if (before.trimStart().startsWith("open ") && !dirPart) {
+                for (const searchPath of this._config.openSearchPaths) {
+                    const searchDir = this.getNode(searchPath);
+                    for (const name of Object.keys(searchDir?.type === "dir" ? searchDir.children ?? {} : {})) {
+                        if (name.startsWith(namePart)) {
+                            matches.push(name + " ");
+                        }
+                    }
+                }
+                matches = [...new Set(matches)];
+            }
+        }
+
+        if (matches.length <= 0) {
+            return;
+        }
+
+        const completion = matches.length === 1 ? matches[0] : FakeTerminal.util.commonPrefix(matches);
+        if (completion.length <= word.length) {
+            this.print(`${this.prompt.textContent}${this.input.value}`);
+            this.print(matches.map((m) => m.slice(listFrom).trimEnd()).sort().join("  "));
+            return;
+        }
+
+        this.input.value = before.slice(0, before.length - word.length) + completion + after;
+        const newCaret = this.input.value.length - after.length;
+        this.input.setSelectionRange(newCaret, newCaret);
+    }
+
+    /**
+     * @param {string} line
+     */
+    _pushHistory(line) {
+        if (this._config.historySize <= 0 || this.history[this.history.length - 1] === line) {
+            return;
+        }
+
+        this.history.push(line);
+        this.history.splice(0, Math.max(0, this.history.length - this._config.historySize));
+        this._saveHistory();
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    _loadHistory() {
+        if (!this._config.historyStorageKey) {
+            return [];
+        }
+
+        try {
+            const history = JSON.parse(localStorage.getItem(this._config.historyStorageKey) ?? "[]");
+            return Array.isArray(history) ? history.filter((line) => typeof line === "string") : [];
+        } catch (e) {
+            console.warn("[FakeTerminal::_loadHistory] Failed to load the history.", e);
+            return [];
+        }
+    }
+
+    _saveHistory() {
+        if (!this._config.historyStorageKey) {
+            return;
+        }
+
+        try {
+            localStorage.setItem(this._config.historyStorageKey, JSON.stringify(this.history));
+        } catch (e) {
+            // Storage is full or disabled, the history just won't persist
+            console.warn("[FakeTerminal::_saveHistory] Failed to save the history.", e);
+        }
+    }
+}
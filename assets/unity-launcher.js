@@ -0,0 +1,1383 @@
+/** @summary Shared Unity WebGL launcher, configured by a per-game manifest instead of a copied inline script per game. */
+
+/**
+ * @typedef {Object} UnityGameManifest
+ * @property {string} id Game id, the directory name under `/games`.
+ * @property {string} buildName Build file name prefix, e.g. `fx-2.3` for `fx-2.3.loader.js`, `fx-2.3.data.unityweb` etc.
+ * @property {string} buildUrl Build directory, relative to the manifest. Default is "Build"
+ * @property {string | undefined} loaderUrl Overrides `{buildUrl}/{buildName}.loader.js`
+ * @property {string | undefined} dataUrl Overrides `{buildUrl}/{buildName}.data.unityweb`
+ * @property {string | undefined} frameworkUrl Overrides `{buildUrl}/{buildName}.framework.js.unityweb`
+ * @property {string | undefined} codeUrl Overrides `{buildUrl}/{buildName}.wasm.unityweb`
+ * @property {string} streamingAssetsUrl Relative to the manifest. Default is "StreamingAssets"
+ * 
+ * @property {string} companyName
+ * @property {string} productName
+ * @property {string} productVersion
+ * 
+ * @property {string} page Game page, relative to the manifest. Default is "index.html"
+ * @property {string | undefined} logo Logo image, relative to the manifest.
+ * @property {string | undefined} itchUrl itch.io page of the game.
+ * @property {string | undefined} releaseDate Release date of this version, as an ISO 8601 date (`YYYY-MM-DD`).
+ * @property {("desktop" | "mobile")[]} platforms Supported platforms. Default is ["desktop"]
+ * 
+ * @property {number | null} mobileDevicePixelRatio `devicePixelRatio` to render with on mobile (lower is faster). null keeps the device's. Default is 1
+ * @property {boolean} hideFullscreenButton
+ * @property {Partial<UnityBridgeConfig> | undefined} bridge Page to game messaging, see {@link UnityBridge}. The game messages (unload, pause, resume) are only sent if `receiver` is set.
+ * @property {boolean} savePanel Show the save export/import panel. Default is true
+ * @property {string | undefined} saveDataPath Save location (`Application.persistentDataPath`) the save export/import is scoped to, a folder under "/idbfs". Default is the one Unity derives from the page url, see {@link UnitySaveData.persistentDataPath}
+ * @property {boolean} offline Keep the build for offline play (through /sw.js) once the game has loaded. Only works over https (or localhost), the site itself is served over plain http. Default is true
+ * @property {number | string | null} aspectRatio Aspect ratio (width / height) of the game, as a number or "w/h" string. null fills the page.
+ * @property {"letterbox" | "fill"} aspectFit "letterbox" keeps the aspect ratio (centered, with bars), "fill" stretches the game over the page. Mobile always fills, like the stock template's "unity-mobile". Default is "letterbox"
+ * @property {number | null} aspectFitMinRatio If set, letterboxing only happens while the page aspect is at least this, the page is filled otherwise (e.g. a 9/16 game on a phone).
+ */
+
+class UnityLauncher {
+    /** @type {Readonly<Partial<UnityGameManifest>>} */
+    static ManifestDefaults = Object.freeze({
+        buildUrl: "Build",
+        streamingAssetsUrl: "StreamingAssets",
+        page: "index.html",
+        platforms: ["desktop"],
+
+        mobileDevicePixelRatio: 1,
+        hideFullscreenButton: false,
+        savePanel: true,
+        offline: true,
+        aspectRatio: null,
+        aspectFit: "letterbox",
+        aspectFitMinRatio: null,
+    });
+
+    /** Class that keeps the container in the aspect ratio of the game without JS (see TemplateData/style.css), removed once {@link _startAspectFit} takes over. */
+    static AspectClass = "unity-container-style";
+
+    /** Vendor prefixed names of the fullscreen API, the first one available is used. */
+    static FullscreenApi = Object.freeze({
+        enabled: ["fullscreenEnabled", "webkitFullscreenEnabled", "mozFullScreenEnabled", "msFullscreenEnabled"],
+        element: ["fullscreenElement", "webkitFullscreenElement", "mozFullScreenElement", "msFullscreenElement"],
+        request: ["requestFullscreen", "webkitRequestFullscreen", "mozRequestFullScreen", "msRequestFullscreen"],
+        exit: ["exitFullscreen", "webkitExitFullscreen", "mozCancelFullScreen", "msExitFullscreen"],
+        change: ["fullscreenchange", "webkitfullscreenchange", "mozfullscreenchange", "MSFullscreenChange"],
+    });
+
+    /**
+     * Fetch a game manifest, resolving its relative URLs against the manifest location.
+     * 
+     * @param {string} manifestUrl
+     * 
+     * @returns {Promise<UnityLauncher>}
+     */
+    static async Load(manifestUrl) {
+        const absoluteManifestUrl = new URL(manifestUrl, document.baseURI);
+        const response = await fetch(absoluteManifestUrl);
+        if (!response.ok) {
+            throw new Error(`[UnityLauncher::Load] Failed to fetch the manifest "${absoluteManifestUrl}" (HTTP ${response.status}).`);
+        }
+
+        return new UnityLauncher(await response.json(), absoluteManifestUrl);
+    }
+
+    /**
+     * @param {UnityGameManifest} manifest
+     * @param {URL | string} baseUrl URL the relative manifest paths are relative to.
+     */
+    constructor(manifest, baseUrl = document.baseURI) {
+        /** @type {UnityGameManifest} */
+        this.manifest = Object.assign({}, UnityLauncher.ManifestDefaults, manifest);
+        if (!this.manifest.buildName && !(this.manifest.loaderUrl && this.manifest.dataUrl && this.manifest.frameworkUrl && this.manifest.codeUrl)) {
+            throw new Error("[UnityLauncher] Manifest needs a buildName, or all of the loaderUrl, dataUrl, frameworkUrl and codeUrl.");
+        }
+
+        this.baseUrl = new URL(baseUrl, document.baseURI);
+
+        this.container = document.querySelector("#unity-container");
+        this.canvas = document.querySelector("#unity-canvas");
+        this.loadingCover = document.querySelector("#loading-cover");
+        this.progressBarEmpty = document.querySelector("#unity-progress-bar-empty");
+        this.progressBarFull = document.querySelector("#unity-progress-bar-full");
+        this.fullscreenButton = document.querySelector("#unity-fullscreen-button");
+        this.spinner = document.querySelector(".spinner");
+
+        /** @type {any} Set once the game has loaded. */
+        this.unityInstance = null;
+        /** @type {UnityBridge | null} Set once the game has loaded. */
+        this.bridge = null;
+        /** Shows the loader warnings and errors. */
+        this.overlay = new UnityErrorOverlay(this);
+    }
+
+    /**
+     * Resolve a manifest path against the manifest location.
+     * 
+     * @param {string} path
+     * @returns {string}
+     */
+    resolve(path) {
+        return new URL(path, this.baseUrl).href;
+    }
+
+    /**
+     * Get the URL of a build file, preferring the explicit manifest override.
+     * 
+     * @param {"loaderUrl" | "dataUrl" | "frameworkUrl" | "codeUrl"} key
+     * @returns {string}
+     */
+    getBuildFileUrl(key) {
+        const postfixes = {
+            loaderUrl: ".loader.js",
+            dataUrl: ".data.unityweb",
+            frameworkUrl: ".framework.js.unityweb",
+            codeUrl: ".wasm.unityweb",
+        };
+
+        return this.resolve(this.manifest[key] ?? `${this.manifest.buildUrl}/${this.manifest.buildName}${postfixes[key]}`);
+    }
+
+    /**
+     * Create the `createUnityInstance` config from the manifest.
+     * 
+     * @returns {Object}
+     */
+    createConfig() {
+        const config = {
+            dataUrl: this.getBuildFileUrl("dataUrl"),
+            frameworkUrl: this.getBuildFileUrl("frameworkUrl"),
+            codeUrl: this.getBuildFileUrl("codeUrl"),
+            streamingAssetsUrl: this.resolve(this.manifest.streamingAssetsUrl),
+            companyName: this.manifest.companyName,
+            productName: this.manifest.productName,
+            productVersion: this.manifest.productVersion,
+            // Without this the loader warnings only go to the console
+            showBanner: (message, type) => this.overlay.banner(message, type),
+        };
+
+        if (UnityLauncher.isMobile() && typeof this.manifest.mobileDevicePixelRatio === "number") {
+            config.devicePixelRatio = this.manifest.mobileDevicePixelRatio;
+        }
+
+        return config;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    static isMobile() {
+        return /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    static canFullscreen() {
+        // iPhone Safari only does fullscreen for videos, this is false there
+        return UnityLauncher.FullscreenApi.enabled.some((key) => document[key] === true);
+    }
+
+    /**
+     * @returns {Element | null}
+     */
+    static getFullscreenElement() {
+        for (const key of UnityLauncher.FullscreenApi.element) {
+            if (key in document) {
+                return document[key] ?? null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the aspect ratio from the manifest.
+     * 
+     * @returns {number | null}
+     */
+    getAspectRatio() {
+        const aspectRatio = this.manifest.aspectRatio;
+        if (typeof aspectRatio === "string") {
+            const [w, h] = aspectRatio.split("/").map((v) => parseFloat(v));
+            return w > 0 && h > 0 ? w / h : (w > 0 ? w : null);
+        }
+
+        return typeof aspectRatio === "number" && aspectRatio > 0 ? aspectRatio : null;
+    }
+
+    /**
+     * Enter or exit fullscreen. The page goes fullscreen instead of the canvas, so the overlays and the aspect fitting stay.
+     * On mobile the screen orientation is locked to the game's while in fullscreen.
+     * 
+     * @param {boolean} fullscreen Defaults to the opposite of the current state.
+     */
+    async setFullscreen(fullscreen = !UnityLauncher.getFullscreenElement()) {
+        const api = UnityLauncher.FullscreenApi;
+        if (fullscreen) {
+            const root = document.documentElement;
+            const request = api.request.find((key) => typeof root[key] === "function");
+            if (!request) {
+                return;
+            }
+
+            await root[request]();
+
+            const aspectRatio = this.getAspectRatio();
+            if (UnityLauncher.isMobile() && aspectRatio && screen.orientation?.lock) {
+                // Not supported everywhere (and never outside of fullscreen), the game just rotates with the device then
+                await screen.orientation.lock(aspectRatio < 1 ? "portrait" : "landscape").catch(() => {});
+            }
+            return;
+        }
+
+        if (!UnityLauncher.getFullscreenElement()) {
+            return;
+        }
+        const exit = api.exit.find((key) => typeof document[key] === "function");
+        if (exit) {
+            await document[exit]();
+        }
+    }
+
+    /**
+     * Show the fullscreen toggle and hook up Escape and the fullscreen changes.
+     */
+    _setupFullscreen() {
+        if (!UnityLauncher.canFullscreen()) {
+            return;
+        }
+
+        if (!this.manifest.hideFullscreenButton) {
+            this.fullscreenButton.style.display = "";
+        }
+        this.fullscreenButton.setAttribute("role", "button");
+        this.fullscreenButton.setAttribute("aria-label", "Toggle fullscreen");
+        this.fullscreenButton.onclick = () => {
+            this.setFullscreen().catch((e) => console.warn("[UnityLauncher] Failed to toggle fullscreen.", e));
+        };
+
+        // Browsers exit on Escape by themselves, unless the key is swallowed (e.g. keyboard lock), this is for that case
+        document.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" && UnityLauncher.getFullscreenElement()) {
+                this.setFullscreen(false).catch(() => {});
+            }
+        });
+
+        for (const type of UnityLauncher.FullscreenApi.change) {
+            document.addEventListener(type, () => {
+                const isFullscreen = !!UnityLauncher.getFullscreenElement();
+                document.body.classList.toggle("unity-fullscreen", isFullscreen);
+                if (!isFullscreen) {
+                    screen.orientation?.unlock?.();
+                }
+            });
+        }
+    }
+
+    /**
+     * Register the site service worker, which keeps the game builds for offline play.
+     * Service workers need a secure context, so this does nothing on the live site (plain http, see the footer):
+     * the offline play only works over https or on localhost, without it the games are just always online.
+     * 
+     * @returns {Promise<ServiceWorkerRegistration | null>}
+     */
+    static async registerServiceWorker() {
+        if (!("serviceWorker" in navigator) || !window.isSecureContext) {
+            return null;
+        }
+
+        try {
+            return await navigator.serviceWorker.register("/sw.js");
+        } catch (e) {
+            console.warn("[UnityLauncher::registerServiceWorker] Failed to register the service worker.", e);
+            return null;
+        }
+    }
+
+    /**
+     * Ask the service worker to cache this build (and the page around it), evicting the previous builds of the game.
+     * The cache is keyed by the build name, so it changes with every shipped build.
+     */
+    async _precache() {
+        const registration = await UnityLauncher.registerServiceWorker();
+        if (!registration) {
+            return;
+        }
+
+        // The page of the first visit isn't controlled yet, the worker might still be installing
+        const worker = (await navigator.serviceWorker.ready).active;
+        if (!worker) {
+            return;
+        }
+
+        const pageUrls = [
+            location.href.split("#")[0],
+            this.baseUrl.href,
+            ...Array.from(document.querySelectorAll("link[rel=stylesheet][href], link[rel~=icon][href]"), (elem) => elem.href),
+            ...Array.from(document.querySelectorAll("script[src], img[src]"), (elem) => elem.src),
+        ];
+        const buildUrls = ["loaderUrl", "dataUrl", "frameworkUrl", "codeUrl"].map((key) => this.getBuildFileUrl(key));
+
+        worker.postMessage({
+            type: "precache",
+            id: this.manifest.id,
+            version: this.manifest.buildName ?? this.manifest.productVersion,
+            // Same origin only, the worker can't cache the rest
+            urls: Array.from(new Set([...buildUrls, ...pageUrls])).filter((url) => new URL(url).origin === location.origin),
+        });
+    }
+
+    /**
+     * Load the Unity loader script.
+     * 
+     * @returns {Promise<void>}
+     */
+    _loadLoaderScript() {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.src = this.getBuildFileUrl("loaderUrl");
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`[UnityLauncher] Failed to load the Unity loader "${script.src}".`));
+            document.body.appendChild(script);
+        });
+    }
+
+    /**
+     * Size the container to the aspect ratio of the game in its parent, see {@link UnityGameManifest.aspectFit}.
+     */
+    _fitAspect() {
+        const parentSize = this.container.parentElement.getBoundingClientRect();
+        const parentAspect = parentSize.width / parentSize.height;
+        const aspectRatio = this.getAspectRatio();
+        const minRatio = this.manifest.aspectFitMinRatio;
+        const style = this.container.style;
+
+        if (this.manifest.aspectFit !== "letterbox" || UnityLauncher.isMobile() || !aspectRatio || !(parentSize.height > 0) || (typeof minRatio === "number" && parentAspect < minRatio)) {
+            style.width = "100%";
+            style.height = "100%";
+            style.marginTop = "";
+            return;
+        }
+
+        const width = Math.min(parentSize.width, parentSize.height * aspectRatio);
+        const height = width / aspectRatio;
+        style.width = `${width}px`;
+        style.height = `${height}px`;
+        // margin: auto only centers horizontally
+        style.marginTop = `${(parentSize.height - height) / 2}px`;
+    }
+
+    /**
+     * Keep the container fitted to the page size.
+     */
+    _startAspectFit() {
+        this.container.classList.remove(UnityLauncher.AspectClass);
+        this._fitAspect();
+
+        if ("ResizeObserver" in window) {
+            new ResizeObserver(() => this._fitAspect()).observe(this.container.parentElement);
+        } else {
+            window.addEventListener("resize", () => this._fitAspect());
+        }
+    }
+
+    /**
+     * Load and start the game.
+     * 
+     * @returns {Promise<any>} The Unity instance.
+     */
+    async launch() {
+        document.title = this.manifest.productName ?? document.title;
+
+        const config = this.createConfig();
+        if (UnityLauncher.isMobile()) {
+            this.container.classList.add("unity-mobile");
+        }
+        this.loadingCover.style.display = "";
+        this._startAspectFit();
+        if (this.manifest.offline) {
+            // Before the build is downloaded, so the (claiming) worker keeps the files as they go through it
+            UnityLauncher.registerServiceWorker();
+        }
+
+        await this._loadLoaderScript();
+        const unityInstance = await createUnityInstance(this.canvas, config, (progress) => {
+            this.spinner.style.display = "none";
+            this.progressBarEmpty.style.display = "";
+            this.progressBarFull.style.width = `${100 * progress}%`;
+        });
+
+        this.loadingCover.style.display = "none";
+        this.unityInstance = unityInstance;
+        document.unityInstance = unityInstance;
+        this.bridge = new UnityBridge(unityInstance, this.manifest.bridge);
+        // The game's .jslib calls back through this
+        window.unityBridge = this.bridge;
+
+        if (this.manifest.offline) {
+            // Not awaited, the game runs regardless
+            this._precache().catch((e) => console.warn("[UnityLauncher] Failed to precache the game.", e));
+        }
+
+        this._setupFullscreen();
+        if (this.manifest.savePanel && "indexedDB" in window) {
+            document.body.appendChild(new UnitySaveData(this).createPanel());
+        }
+
+        return unityInstance;
+    }
+}
+
+/**
+ * @typedef {Object} UnityBridgeConfig
+ * @property {string | null} receiver Game object that gets the lifecycle messages below. null disables them.
+ * @property {string} unloadMethod Called with the handshake id when the page is hidden/unloaded, the game calls the "unloadAck" callback with the id once it's safe to go.
+ * @property {string} pauseMethod Called when the tab is hidden (after the unload handshake).
+ * @property {string} resumeMethod Called when the tab is visible again.
+ * @property {number} unloadTimeout Milliseconds to wait for the "unloadAck" before giving up.
+ * @property {boolean} pauseWhenHidden Pause the main loop of the game while the tab is hidden.
+ */
+
+/**
+ * @summary Messaging between the page and the Unity instance.
+ * 
+ * The page calls the game with {@link UnityBridge.send}, the game calls the page through a .jslib like:
+ * ```js
+ * mergeInto(LibraryManager.library, {
+ *     BridgeInvoke: function (name, payload) {
+ *         window.unityBridge.invoke(UTF8ToString(name), UTF8ToString(payload));
+ *     },
+ * });
+ * ```
+ * 
+ * Emitted events (as `CustomEvent`s): `unload` (`{ acknowledged: boolean }`), `pause`, `resume`.
+ */
+class UnityBridge extends EventTarget {
+    /** @type {Readonly<UnityBridgeConfig>} */
+    static ConfigDefaults = Object.freeze({
+        receiver: null,
+        unloadMethod: "OnWebGLUnload",
+        pauseMethod: "OnWebGLPause",
+        resumeMethod: "OnWebGLResume",
+        unloadTimeout: 500,
+        pauseWhenHidden: true,
+    });
+
+    /**
+     * @param {any} unityInstance Result of `createUnityInstance`.
+     * @param {Partial<UnityBridgeConfig>} config
+     */
+    constructor(unityInstance, config = {}) {
+        super();
+
+        this.unityInstance = unityInstance;
+        this._config = Object.assign({}, UnityBridge.ConfigDefaults, config);
+        /** @type {Map<string, (payload: any) => any>} */
+        this._callbacks = new Map();
+        /** @type {Map<string, () => void>} Pending unload handshakes, by id. */
+        this._pendingUnloads = new Map();
+        this._unloadCounter = 0;
+        /** Whether the unload message went out since the page was last visible, the game only gets it once per hide. */
+        this._unloadSent = false;
+        /** Set by {@link suppressUnload}. */
+        this.unloadSuppressed = false;
+        this.paused = false;
+
+        this.register("unloadAck", (id) => {
+            this._pendingUnloads.get(String(id))?.();
+        });
+
+        document.addEventListener("visibilitychange", () => {
+            if (document.visibilityState === "hidden") {
+                this._onHidden();
+            } else {
+                this._unloadSent = false;
+                this.resume();
+            }
+        });
+        // bfcache and mobile tab kills don't always hide the page first,
+        // a normal close/navigation does, and the game already got the unload message then (acknowledged or not)
+        window.addEventListener("pagehide", () => {
+            if (!this._unloadSent) {
+                this.requestUnload();
+            }
+        });
+    }
+
+    /**
+     * Call a method of a game object.
+     * Unity only takes strings and numbers, booleans are sent as 1/0 and objects as JSON.
+     * 
+     * @param {string} object Game object name.
+     * @param {string} method
+     * @param {string | number | boolean | Object | undefined} payload
+     */
+    send(object, method, payload = undefined) {
+        if (typeof object !== "string" || typeof method !== "string") {
+            throw new TypeError("[UnityBridge::send] Object and method names should be strings.");
+        }
+
+        switch (typeof payload) {
+            case "undefined": {
+                this.unityInstance.SendMessage(object, method);
+                break;
+            }
+            case "string":
+            case "number": {
+                this.unityInstance.SendMessage(object, method, payload);
+                break;
+            }
+            case "boolean": {
+                this.unityInstance.SendMessage(object, method, payload ? 1 : 0);
+                break;
+            }
+            case "object": {
+                this.unityInstance.SendMessage(object, method, JSON.stringify(payload));
+                break;
+            }
+
+            default: {
+                throw new TypeError(`[UnityBridge::send] Cannot send a payload of type "${typeof payload}".`);
+            }
+        }
+    }
+
+    /**
+     * Register a callback the game can call with {@link invoke}.
+     * 
+     * @param {string} name
+     * @param {(payload: any) => any} handler
+     */
+    register(name, handler) {
+        if (typeof handler !== "function") {
+            throw new TypeError("[UnityBridge::register] Handler should be a function.");
+        }
+
+        this._callbacks.set(name, handler);
+    }
+
+    /**
+     * @param {string} name
+     */
+    unregister(name) {
+        this._callbacks.delete(name);
+    }
+
+    /**
+     * Called by the game. JSON payloads are parsed, the rest is passed as is.
+     * 
+     * @param {string} name
+     * @param {string | undefined} payload
+     * 
+     * @returns {string} The handler result, as JSON unless it's a string. Empty if there's none.
+     */
+    invoke(name, payload = undefined) {
+        const handler = this._callbacks.get(name);
+        if (!handler) {
+            console.warn(`[UnityBridge::invoke] No callback registered with name "${name}".`);
+            return "";
+        }
+
+        let parsedPayload = payload;
+        if (typeof payload === "string") {
+            try {
+                parsedPayload = JSON.parse(payload);
+            } catch {
+                // plain string
+            }
+        }
+
+        const result = handler(parsedPayload);
+        if (result === undefined || result === null) {
+            return "";
+        }
+
+        return typeof result === "string" ? result : JSON.stringify(result);
+    }
+
+    /**
+     * Tell the game that the page is going away and wait for it to acknowledge (e.g. after saving), or for the timeout.
+     * 
+     * @returns {Promise<boolean>} Whether the game acknowledged in time. Always true without a receiver or once suppressed.
+     */
+    requestUnload() {
+        if (!this._config.receiver || this.unloadSuppressed) {
+            return Promise.resolve(true);
+        }
+
+        this._unloadSent = true;
+        const id = String(++this._unloadCounter);
+        return new Promise((resolve) => {
+            const finish = (acknowledged) => {
+                if (!this._pendingUnloads.has(id)) {
+                    return;
+                }
+
+                this._pendingUnloads.delete(id);
+                clearTimeout(timeout);
+                this.dispatchEvent(new CustomEvent("unload", { detail: { acknowledged } }));
+                resolve(acknowledged);
+            };
+            const timeout = setTimeout(() => finish(false), this._config.unloadTimeout);
+            this._pendingUnloads.set(id, () => finish(true));
+
+            try {
+                this.send(this._config.receiver, this._config.unloadMethod, id);
+            } catch (e) {
+                console.warn("[UnityBridge::requestUnload] Failed to send the unload message.", e);
+                finish(false);
+            }
+        });
+    }
+
+    /**
+     * Don't send the unload message anymore, for leaving the page without letting the game save (e.g. reloading after a save import).
+     */
+    suppressUnload() {
+        this.unloadSuppressed = true;
+    }
+
+    /**
+     * Pause the game (the message, then the main loop).
+     */
+    pause() {
+        if (this.paused) {
+            return;
+        }
+
+        this.paused = true;
+        if (this._config.receiver) {
+            this.send(this._config.receiver, this._config.pauseMethod);
+        }
+        if (this._config.pauseWhenHidden) {
+            this.unityInstance.Module?.pauseMainLoop?.();
+        }
+
+        this.dispatchEvent(new CustomEvent("pause"));
+    }
+
+    /**
+     * Resume the game paused with {@link pause}.
+     */
+    resume() {
+        if (!this.paused) {
+            return;
+        }
+
+        this.paused = false;
+        if (this._config.pauseWhenHidden) {
+            this.unityInstance.Module?.resumeMainLoop?.();
+        }
+        if (this._config.receiver) {
+            this.send(this._config.receiver, this._config.resumeMethod);
+        }
+
+        this.dispatchEvent(new CustomEvent("resume"));
+    }
+
+    /**
+     * Hidden is the last state a mobile browser reliably tells about before killing the tab, so the unload handshake happens here.
+     * The game keeps running until it acknowledges (it might need frames to save), then pauses.
+     */
+    async _onHidden() {
+        await this.requestUnload();
+
+        if (document.visibilityState === "hidden") {
+            this.pause();
+        }
+    }
+}
+
+/**
+ * @typedef {Object} UnitySaveExport
+ * @property {"unity-saves"} format
+ * @property {number} formatVersion
+ * @property {string} companyName
+ * @property {string} productName
+ * @property {string} productVersion
+ * @property {string} exportedAt ISO 8601 date.
+ * @property {string | undefined} root Save folder the entries were exported from, they are moved into the importing game's folder. Unset in older exports.
+ * @property {{ path: string, mode: number, timestamp: string, contents: string | null }[]} entries `contents` is base64, null for directories.
+ */
+
+/**
+ * @summary Export/import of the game saves, which Unity keeps in the IndexedDB of its `/idbfs` mount.
+ * 
+ * Every game of the site shares that database (it's per origin), so the exports are scoped to the game's folder in it
+ * (its `Application.persistentDataPath`, or `saveDataPath` from the manifest) and labeled with the company/product.
+ * Nothing outside of that folder is ever read, deleted or written.
+ */
+class UnitySaveData {
+    /** Database and store names of the emscripten IDBFS. */
+    static DatabaseName = "/idbfs";
+    static StoreName = "FILE_DATA";
+    static FormatVersion = 1;
+
+    /**
+     * @param {UnityLauncher} launcher
+     */
+    constructor(launcher) {
+        this.launcher = launcher;
+        /** Only the paths under this are exported (and imported). */
+        this.path = (launcher.manifest.saveDataPath ?? UnitySaveData.persistentDataPath()).replace(/\/+$/, "");
+    }
+
+    /**
+     * `Application.persistentDataPath` of a WebGL build on this page: "/idbfs/" and the MD5 of the page url up to its last "/" (without it).
+     * It's computed in the engine, this mirrors it, so a build that saves somewhere else needs `saveDataPath` in its manifest.
+     * 
+     * @returns {string}
+     */
+    static persistentDataPath() {
+        const url = location.href.split(/[?#]/)[0];
+        return `${UnitySaveData.DatabaseName}/${UnitySaveData._md5(url.slice(0, url.lastIndexOf("/")))}`;
+    }
+
+    /**
+     * MD5 hex digest of the UTF-8 bytes of a string (not in `crypto.subtle`), for {@link persistentDataPath}.
+     * 
+     * @param {string} str
+     * @returns {string}
+     */
+    static _md5(str) {
+        const bytes = new TextEncoder().encode(str);
+        // Padded to 64 byte blocks: 0x80, zeros, then the bit length (little endian)
+        const length = (((bytes.length + 8) >>> 6) + 1) * 64;
+        const padded = new Uint8Array(length);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(length - 8, bytes.length * 8, true);
+        view.setUint32(length - 4, Math.floor(bytes.length / 0x20000000), true);
+
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+        const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+        for (let offset = 0; offset < length; offset += 64) {
+            let [a, b, c, d] = state;
+            for (let i = 0; i < 64; i++) {
+                const round = i >>> 4;
+                let f;
+                let g;
+                if (round === 0) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (round === 1) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (round === 2) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const sum = (a + f + constants[i] + view.getUint32(offset + g * 4, true)) | 0;
+                const shift = shifts[round * 4 + (i % 4)];
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+
+            state[0] = (state[0] + a) | 0;
+            state[1] = (state[1] + b) | 0;
+            state[2] = (state[2] + c) | 0;
+            state[3] = (state[3] + d) | 0;
+        }
+
+        return state.map((word) => Array.from({ length: 4 }, (_, i) => ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, "0")).join("")).join("");
+    }
+
+    /**
+     * Whether the scope is a single game's folder, not the whole (shared) database.
+     * 
+     * @returns {boolean}
+     */
+    hasGameScope() {
+        return this.path.startsWith(`${UnitySaveData.DatabaseName}/`) && this.path.length > UnitySaveData.DatabaseName.length + 1;
+    }
+
+    /**
+     * @param {IDBRequest | IDBTransaction} request
+     * @returns {Promise<any>}
+     */
+    static _promisify(request) {
+        return new Promise((resolve, reject) => {
+            if (request instanceof IDBTransaction) {
+                request.oncomplete = () => resolve();
+                request.onabort = request.onerror = () => reject(request.error);
+                return;
+            }
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the IDBFS database, without upgrading it (that's Unity's job).
+     * 
+     * @returns {Promise<IDBDatabase | null>} null if the game never saved anything.
+     */
+    static async _openDatabase() {
+        const db = await UnitySaveData._promisify(indexedDB.open(UnitySaveData.DatabaseName));
+        if (!db.objectStoreNames.contains(UnitySaveData.StoreName)) {
+            db.close();
+            return null;
+        }
+
+        return db;
+    }
+
+    /**
+     * @param {string} path
+     * @returns {boolean}
+     */
+    _inScope(path) {
+        return path === this.path || path.startsWith(`${this.path}/`);
+    }
+
+    /**
+     * Read the saves of this game.
+     * 
+     * @returns {Promise<UnitySaveExport>}
+     */
+    async export() {
+        const manifest = this.launcher.manifest;
+        /** @type {UnitySaveExport} */
+        const result = {
+            format: "unity-saves",
+            formatVersion: UnitySaveData.FormatVersion,
+            companyName: manifest.companyName,
+            productName: manifest.productName,
+            productVersion: manifest.productVersion,
+            exportedAt: new Date().toISOString(),
+            root: this.path,
+            entries: [],
+        };
+
+        const db = await UnitySaveData._openDatabase();
+        if (!db) {
+            return result;
+        }
+
+        try {
+            const store = db.transaction(UnitySaveData.StoreName, "readonly").objectStore(UnitySaveData.StoreName);
+            const [keys, values] = await Promise.all([
+                UnitySaveData._promisify(store.getAllKeys()),
+                UnitySaveData._promisify(store.getAll()),
+            ]);
+
+            keys.forEach((path, i) => {
+                if (typeof path !== "string" || !this._inScope(path)) {
+                    return;
+                }
+
+                const value = values[i];
+                let contents = null;
+                if (value.contents) {
+                    // Chunked, String.fromCharCode has an argument limit
+                    const bytes = new Uint8Array(value.contents.buffer ?? value.contents, value.contents.byteOffset ?? 0, value.contents.byteLength ?? value.contents.length);
+                    let binary = "";
+                    for (let j = 0; j < bytes.length; j += 0x8000) {
+                        binary += String.fromCharCode(...bytes.subarray(j, j + 0x8000));
+                    }
+                    contents = btoa(binary);
+                }
+
+                result.entries.push({ path, mode: value.mode, timestamp: new Date(value.timestamp).toISOString(), contents });
+            });
+        } finally {
+            db.close();
+        }
+
+        return result;
+    }
+
+    /**
+     * Save folder of an export. Older exports don't have it, their entries are all in one "/idbfs/{folder}".
+     * 
+     * @param {UnitySaveExport} data
+     * @returns {string | null} null if the entries aren't all in it.
+     */
+    static _exportRoot(data) {
+        const root = typeof data.root === "string"
+            ? data.root.replace(/\/+$/, "")
+            : String(data.entries[0]?.path ?? "").split("/").slice(0, 3).join("/");
+        const inRoot = (path) => typeof path === "string" && (path === root || path.startsWith(`${root}/`)) && !path.split("/").includes("..");
+
+        return root.startsWith(`${UnitySaveData.DatabaseName}/`) && data.entries.every((entry) => inRoot(entry.path)) ? root : null;
+    }
+
+    /**
+     * Check whether an export can be imported into this game.
+     * 
+     * @param {UnitySaveExport} data
+     * @returns {{ ok: boolean, warning: string | null, error: string | null }}
+     */
+    checkCompatibility(data) {
+        const manifest = this.launcher.manifest;
+        if (data?.format !== "unity-saves" || !Array.isArray(data.entries)) {
+            return { ok: false, warning: null, error: "This is not a save export." };
+        }
+        if (data.formatVersion > UnitySaveData.FormatVersion) {
+            return { ok: false, warning: null, error: "This save export is from a newer version of the site." };
+        }
+        if (data.companyName !== manifest.companyName || data.productName !== manifest.productName) {
+            return { ok: false, warning: null, error: `These saves are of "${data.productName}" by ${data.companyName}, not of this game.` };
+        }
+        // The folder is derived from the page url, so it differs between hosts (http/https, localhost...), the entries are moved over on import
+        if (UnitySaveData._exportRoot(data) === null) {
+            return { ok: false, warning: null, error: "This save export is damaged, its files are not in one save folder." };
+        }
+
+        // A major version change is expected to break the saves, a newer minor one might use data this build doesn't know
+        const majorA = String(data.productVersion).split(".")[0];
+        const majorB = String(manifest.productVersion).split(".")[0];
+        if (majorA !== majorB) {
+            return { ok: true, warning: `These saves are from version ${data.productVersion}, the game is ${manifest.productVersion}. They might not load.`, error: null };
+        }
+        // numeric collation compares the version parts as numbers ("2.10" > "2.9")
+        if (String(data.productVersion).localeCompare(String(manifest.productVersion), undefined, { numeric: true }) > 0) {
+            return { ok: true, warning: `These saves are from a newer version (${data.productVersion}) than the game (${manifest.productVersion}).`, error: null };
+        }
+
+        return { ok: true, warning: null, error: null };
+    }
+
+    /**
+     * Write the saves into the database, replacing the ones of this game (and only those, the keys outside of its folder are left alone).
+     * The running game has its own copy in memory (and writes it back on its next save), so the page has to be reloaded right after.
+     * 
+     * @param {UnitySaveExport} data
+     */
+    async import(data) {
+        // Replacing the whole database would take the saves of the other games with it
+        if (!this.hasGameScope()) {
+            throw new Error(`[UnitySaveData::import] "${this.path}" is not a game save folder, set saveDataPath to the game's folder under "${UnitySaveData.DatabaseName}".`);
+        }
+
+        const compatibility = this.checkCompatibility(data);
+        if (!compatibility.ok) {
+            throw new Error(`[UnitySaveData::import] ${compatibility.error}`);
+        }
+
+        const db = await UnitySaveData._openDatabase();
+        if (!db) {
+            throw new Error("[UnitySaveData::import] The game has no save storage yet, play it once before importing.");
+        }
+
+        try {
+            const transaction = db.transaction(UnitySaveData.StoreName, "readwrite");
+            const store = transaction.objectStore(UnitySaveData.StoreName);
+
+            const keys = await UnitySaveData._promisify(store.getAllKeys());
+            for (const key of keys) {
+                if (typeof key === "string" && this._inScope(key)) {
+                    store.delete(key);
+                }
+            }
+            const root = UnitySaveData._exportRoot(data);
+            for (const entry of data.entries) {
+                const value = { timestamp: new Date(entry.timestamp), mode: entry.mode };
+                if (entry.contents !== null) {
+                    value.contents = Uint8Array.from(atob(entry.contents), (ch) => ch.charCodeAt(0));
+                }
+                store.put(value, this.path + entry.path.slice(root.length));
+            }
+
+            await UnitySaveData._promisify(transaction);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Create the save panel (a toggle button and the export/import controls).
+     * 
+     * @returns {HTMLElement}
+     */
+    createPanel() {
+        const manifest = this.launcher.manifest;
+        const root = document.createElement("div");
+        root.className = "unity-saves";
+
+        const toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.className = "unity-saves-toggle";
+        toggle.textContent = "saves";
+        toggle.setAttribute("aria-expanded", "false");
+
+        const panel = document.createElement("div");
+        panel.className = "unity-saves-panel";
+        panel.hidden = true;
+        panel.id = "unity-saves-panel";
+        toggle.setAttribute("aria-controls", panel.id);
+        toggle.onclick = () => {
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute("aria-expanded", String(!panel.hidden));
+        };
+
+        const status = document.createElement("p");
+        status.className = "unity-saves-status";
+        status.setAttribute("role", "status");
+
+        const exportButton = document.createElement("button");
+        exportButton.type = "button";
+        exportButton.textContent = "Export saves";
+        exportButton.onclick = async () => {
+            try {
+                const data = await this.export();
+                if (data.entries.length <= 0) {
+                    status.textContent = "Nothing to export, the game didn't save anything yet.";
+                    return;
+                }
+
+                const link = document.createElement("a");
+                link.href = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: "application/json" }));
+                link.download = `${manifest.productName}-${manifest.productVersion}-saves.json`.replace(/[^\w.-]+/g, "_");
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+                status.textContent = `Exported ${data.entries.length} files.`;
+            } catch (e) {
+                console.error(e);
+                status.textContent = `Export failed: ${e.message ?? e}`;
+            }
+        };
+
+        const importInput = document.createElement("input");
+        importInput.type = "file";
+        importInput.accept = "application/json,.json";
+        importInput.hidden = true;
+        const importButton = document.createElement("button");
+        importButton.type = "button";
+        importButton.textContent = "Import saves";
+        importButton.onclick = () => importInput.click();
+
+        const confirmButton = document.createElement("button");
+        confirmButton.type = "button";
+        confirmButton.textContent = "Import anyway";
+        confirmButton.hidden = true;
+
+        /** @param {UnitySaveExport} data */
+        const doImport = async (data) => {
+            confirmButton.hidden = true;
+            try {
+                // The game shouldn't write its in-memory saves over the imported ones before the reload
+                this.launcher.bridge?.pause();
+                await this.import(data);
+                status.textContent = "Imported, reloading...";
+                // The unload handshake on the way out would let the game save over the imported files
+                this.launcher.bridge?.suppressUnload();
+                location.reload();
+            } catch (e) {
+                console.error(e);
+                this.launcher.bridge?.resume();
+                status.textContent = `Import failed: ${e.message ?? e}`;
+            }
+        };
+
+        importInput.onchange = async () => {
+            const file = importInput.files?.[0];
+            importInput.value = "";
+            if (!file) {
+                return;
+            }
+
+            /** @type {UnitySaveExport} */
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                status.textContent = "This file is not a save export.";
+                return;
+            }
+
+            const compatibility = this.checkCompatibility(data);
+            if (!compatibility.ok) {
+                status.textContent = compatibility.error;
+                return;
+            }
+            if (compatibility.warning) {
+                status.textContent = `${compatibility.warning} Importing replaces the current saves.`;
+                confirmButton.hidden = false;
+                confirmButton.onclick = () => doImport(data);
+                return;
+            }
+
+            await doImport(data);
+        };
+
+        const note = document.createElement("p");
+        note.textContent = `Saves of ${manifest.productName} ${manifest.productVersion}. Importing replaces the current saves and reloads the game.`;
+
+        panel.append(note, exportButton, importButton, importInput, confirmButton, status);
+        root.append(toggle, panel);
+        return root;
+    }
+}
+
+/** @summary In-page overlay for the loader warnings (dismissable banners) and errors (explanation, retry and diagnostics). */
+class UnityErrorOverlay {
+    /**
+     * Human explanations of the known load failures, first match wins.
+     * @type {ReadonlyArray<{ pattern: RegExp, title: string, explanation: string }>}
+     */
+    static Explanations = Object.freeze([
+        // First, Unity's out of memory messages mention "your WebGL build" too
+        {
+            pattern: /out of memory|memory|allocat|oom/i,
+            title: "Out of memory",
+            explanation: "The game couldn't get enough memory. Close other tabs (especially on mobile) or use a 64-bit browser and try again.",
+        },
+        {
+            pattern: /create webgl context|does not support webgl|graphics api/i,
+            title: "WebGL is unavailable",
+            explanation: "Your browser couldn't create a WebGL context. Hardware acceleration might be disabled, the graphics driver blocklisted, or the browser too old. Enable hardware acceleration or try another browser.",
+        },
+        {
+            pattern: /content-encoding|compress|gzip|brotli|unexpected token|invalid or unexpected/i,
+            title: "Build files are served wrong",
+            explanation: "The compressed .unityweb build files were served with a missing or wrong Content-Encoding header, so the browser couldn't decode them. This is a server configuration issue, not your browser's.",
+        },
+        {
+            pattern: /content-type|mime/i,
+            title: "Build files have the wrong type",
+            explanation: "The server sent a build file with the wrong Content-Type (the .wasm needs \"application/wasm\"). The game may still start, just slower.",
+        },
+        {
+            pattern: /fetch|network|http|load/i,
+            title: "Download failed",
+            explanation: "Some of the game files couldn't be downloaded. Check your connection and try again.",
+        },
+    ]);
+
+    /**
+     * @param {UnityLauncher | null} launcher Launcher to diagnose, null if it couldn't be created.
+     */
+    constructor(launcher) {
+        this.launcher = launcher;
+        /** @type {{ message: string, type: string }[]} Everything shown so far, part of the diagnostics. */
+        this.messages = [];
+
+        /** @type {HTMLElement | null} */
+        this.bannerContainer = null;
+        /** @type {HTMLElement | null} */
+        this.errorPanel = null;
+    }
+
+    /**
+     * Get the explanation for an error message.
+     * 
+     * @param {string} message
+     * @returns {{ title: string, explanation: string }}
+     */
+    static explain(message) {
+        return UnityErrorOverlay.Explanations.find((e) => e.pattern.test(message)) ?? {
+            title: "The game failed to load",
+            explanation: "Something went wrong while starting the game. Try again, and if it keeps happening send the diagnostics below along.",
+        };
+    }
+
+    /**
+     * Unity loader `showBanner` handler.
+     * 
+     * @param {string} message
+     * @param {"error" | "warning" | "info"} type
+     */
+    banner(message, type) {
+        if (type === "error") {
+            this.error(message);
+            return;
+        }
+
+        (type === "warning" ? console.warn : console.log)(message);
+        if (this.messages.some((m) => m.message === message)) {
+            return;
+        }
+        this.messages.push({ message, type });
+
+        if (!this.bannerContainer) {
+            this.bannerContainer = document.createElement("div");
+            this.bannerContainer.className = "unity-banners";
+            this.bannerContainer.setAttribute("role", "status");
+            document.body.appendChild(this.bannerContainer);
+        }
+
+        const banner = document.createElement("div");
+        banner.className = `unity-banner unity-banner-${type}`;
+        const text = document.createElement("span");
+        text.textContent = `${UnityErrorOverlay.explain(message).title}: ${message}`;
+        const dismiss = document.createElement("button");
+        dismiss.type = "button";
+        dismiss.textContent = "\u00d7";
+        dismiss.setAttribute("aria-label", "Dismiss");
+        dismiss.onclick = () => banner.remove();
+
+        banner.append(text, dismiss);
+        this.bannerContainer.appendChild(banner);
+    }
+
+    /**
+     * Show the error panel. Only the first error is shown, the later ones are most likely caused by it (but are in the diagnostics).
+     * 
+     * @param {unknown} error
+     */
+    error(error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.error(error);
+        if (!this.messages.some((m) => m.message === message)) {
+            this.messages.push({ message, type: "error" });
+        }
+        if (this.errorPanel) {
+            return;
+        }
+
+        const { title, explanation } = UnityErrorOverlay.explain(message);
+        this.errorPanel = document.createElement("div");
+        this.errorPanel.className = "unity-error-overlay";
+        this.errorPanel.setAttribute("role", "alertdialog");
+        this.errorPanel.setAttribute("aria-labelledby", "unity-error-title");
+
+        const panel = document.createElement("div");
+        panel.className = "unity-error-panel";
+
+        const heading = document.createElement("h2");
+        heading.id = "unity-error-title";
+        heading.textContent = title;
+        const explanationText = document.createElement("p");
+        explanationText.textContent = explanation;
+        const messageText = document.createElement("pre");
+        messageText.className = "unity-error-message";
+        messageText.textContent = message;
+
+        const diagnostics = document.createElement("textarea");
+        diagnostics.className = "unity-error-diagnostics";
+        diagnostics.readOnly = true;
+        diagnostics.value = "collecting diagnostics...";
+        diagnostics.setAttribute("aria-label", "Diagnostics");
+        this.collectDiagnostics().then((text) => {
+            diagnostics.value = text;
+        });
+
+        const retryButton = document.createElement("button");
+        retryButton.type = "button";
+        retryButton.textContent = "Retry";
+        // The Unity loader can't be started twice in the same page
+        retryButton.onclick = () => location.reload();
+
+        const copyButton = document.createElement("button");
+        copyButton.type = "button";
+        copyButton.textContent = "Copy diagnostics";
+        copyButton.onclick = async () => {
+            try {
+                await navigator.clipboard.writeText(diagnostics.value);
+                copyButton.textContent = "Copied";
+            } catch {
+                // Clipboard API needs a secure context, which this site isn't
+                diagnostics.select();
+                document.execCommand("copy");
+                copyButton.textContent = "Copied (probably)";
+            }
+        };
+
+        const buttons = document.createElement("div");
+        buttons.className = "unity-error-buttons";
+        buttons.append(retryButton, copyButton);
+
+        panel.append(heading, explanationText, messageText, buttons, diagnostics);
+        this.errorPanel.appendChild(panel);
+        document.body.appendChild(this.errorPanel);
+        retryButton.focus();
+
+        if (this.launcher?.loadingCover) {
+            this.launcher.loadingCover.style.display = "none";
+        }
+    }
+
+    /**
+     * Get the WebGL renderer, through a throwaway canvas.
+     * 
+     * @returns {string}
+     */
+    static getWebGLRenderer() {
+        const canvas = document.createElement("canvas");
+        const gl = canvas.getContext("webgl2") ?? canvas.getContext("webgl");
+        if (!gl) {
+            return "unavailable";
+        }
+
+        const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+        const renderer = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+        const version = gl.getParameter(gl.VERSION);
+        gl.getExtension("WEBGL_lose_context")?.loseContext();
+
+        return `${renderer} (${version})`;
+    }
+
+    /**
+     * Check a build file, reporting the status and the headers that break the loading when wrong.
+     * 
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    static async checkUrl(url) {
+        try {
+            const response = await fetch(url, { method: "HEAD", cache: "no-store" });
+            const headers = ["content-type", "content-encoding"]
+                .map((h) => `${h}=${response.headers.get(h) ?? "(none)"}`)
+                .join(", ");
+
+            return `${response.ok ? "ok" : "FAILED"} ${url} : HTTP ${response.status}, ${headers}`;
+        } catch (e) {
+            return `FAILED ${url} : ${e}`;
+        }
+    }
+
+    /**
+     * Collect the diagnostics text (user agent, WebGL renderer, messages and the state of the build files).
+     * 
+     * @returns {Promise<string>}
+     */
+    async collectDiagnostics() {
+        const lines = [
+            `page: ${location.href}`,
+            `user agent: ${navigator.userAgent}`,
+            `webgl: ${UnityErrorOverlay.getWebGLRenderer()}`,
+            `device memory: ${navigator.deviceMemory ?? "unknown"} GB, pixel ratio: ${window.devicePixelRatio}`,
+        ];
+
+        const launcher = this.launcher;
+        if (launcher) {
+            lines.push(`game: ${launcher.manifest.productName} ${launcher.manifest.productVersion} (${launcher.manifest.buildName ?? "custom urls"})`);
+        }
+
+        lines.push("", "messages:");
+        lines.push(...this.messages.map((m) => `[${m.type}] ${m.message}`));
+
+        if (launcher) {
+            const urls = ["loaderUrl", "dataUrl", "frameworkUrl", "codeUrl"].map((key) => launcher.getBuildFileUrl(key));
+            lines.push("", "build files:");
+            lines.push(...await Promise.all(urls.map((url) => UnityErrorOverlay.checkUrl(url))));
+        }
+
+        return lines.join("\n");
+    }
+}
+
+(() => {
+    // <script src="/assets/unity-launcher.js" data-manifest="manifest.json"></script> launches the game right away
+    const manifestUrl = document.currentScript?.dataset.manifest;
+    if (!manifestUrl) {
+        return;
+    }
+
+    /** @type {UnityLauncher | null} */
+    let launcher = null;
+    UnityLauncher.Load(manifestUrl)
+        .then((loaded) => (launcher = loaded).launch())
+        .catch((error) => {
+            // Without a launcher the manifest itself failed to load
+            (launcher?.overlay ?? new UnityErrorOverlay(null)).error(error);
+        });
+})();
@@ -11,19 +11,30 @@
  * @property {string} titlebarMaximizeClass Postfix for the "elementClassPrefix" for the given target element.
  * @property {string} titlebarCloseClass Postfix for the "elementClassPrefix" for the given target element.
  * @property {string} contentClass Postfix for the "elementClassPrefix" for the given target element.
+ * @property {string} titlebarActiveClass Postfix for the "elementClassPrefix", set on the titlebar while the window is focused.
+ * @property {string} titlebarInactiveClass Postfix for the "elementClassPrefix", set on the titlebar while the window is not focused.
+ * @property {string} minimizedClass Postfix for the "elementClassPrefix", set on the window while it is minimized.
+ * @property {string} maximizedClass Postfix for the "elementClassPrefix", set on the window while it is maximized.
  * 
  * @property {number} draggingThreshold Global delta threshold (of the mousedown) to "pretend" a drag event. Default is 10
  * @property {("x" | "y" | "xy") | undefined} drag Draggability of this window.
+ * @property {number | undefined} snapEdgeSize Distance in pixels to the parent's edge for the dragged window to snap into a half/quarter tile. 0 disables snapping.
  * 
  * @property {("x" | "y" | "xy") | undefined} resize Resizability of the window.
  * @property {string | undefined} resizeCursorClass Global class prefix for a `cursor: resize-{dir}` css.
  * @property {number | undefined} resizePointEdgeSize Resize point size in pixels. If this is less than zero and the window is resizable this is error.
  * @property {number | undefined} resizePointCornerSize Resize point size in pixels.
+ * @property {string | undefined} resizeHandleClass Postfix for the "elementClassPrefix", set on the edge/corner handle elements (`touch-action: none` zones, so touch resizes instead of panning).
  * 
  * @property {number | undefined} resizeMinWidth If unset, is set to 100
  * @property {number | undefined} resizeMinHeight If unset, is set to 50
  * @property {number | undefined} resizeMaxWidth If unset, is infinite
  * @property {number | undefined} resizeMaxHeight If unset, is infinite
+ * 
+ * @property {boolean | undefined} keyboard Enables the keyboard shortcuts of the focused window: Alt+Arrows to move, Alt+Shift+Arrows to resize, Escape to close.
+ * @property {number | undefined} keyboardStep Pixels to move/resize by per key press. Default is 10
+ * 
+ * @property {string | undefined} persistId If set, the window layout (rect, minimized/maximized/snapped state and stacking order) is saved to localStorage under this id and restored on construction.
  */
 
 /**
@@ -32,8 +43,39 @@
 /**
  * @typedef {"nw" | "ne" | "se" | "sw"} TCorners
  */
+/**
+ * @typedef {{ x: number, y: number, width: number, height: number }} TRect
+ */
+
+/**
+ * @typedef {Object} FakeWindowLayout
+ * @property {TRect | null} rect Normal (not maximized, snapped or minimized) rect of the window.
+ * @property {boolean} minimized
+ * @property {boolean} maximized
+ * @property {TEdges | TCorners | null} snapped
+ * @property {number | null} order Stacking order in the manager, lower is below.
+ */
 
-class FakeWindow {
+/**
+ * @typedef {Object} FakeWindowCreateOptions
+ * @property {string | undefined} title Titlebar text.
+ * @property {Partial<TRect> | undefined} rect Initial position and size. Unset position centers the window in its parent.
+ * @property {Node | string | URL | undefined} content Content node, HTML string, or a `URL` to load in an iframe.
+ */
+
+/**
+ * Emitted events (as `CustomEvent`s, the payload is in `detail`), listen with {@link FakeWindow.on} or `addEventListener`:
+ * - `beforeclose` : cancellable with `preventDefault()`, which keeps the window open.
+ * - `close`
+ * - `move` : `{ rect: TRect }`
+ * - `resize` : `{ rect: TRect }`
+ * - `focus` / `blur` : emitted by the {@link FakeWindowManager} the window is registered to.
+ * - `minimize`
+ * - `maximize` : `{ rect: TRect }`
+ * - `snap` : `{ tile: TEdges | TCorners, rect: TRect }`
+ * - `restore` : `{ from: "minimize" | "maximize" | "snap", rect: TRect }`
+ */
+class FakeWindow extends EventTarget {
     /** @type {Readonly<FakeWindowConfig>} */
     static ConfigDefaults = Object.freeze({
         windowClass: "blurred window",
@@ -45,19 +87,36 @@ class FakeWindow {
         titlebarMaximizeClass: "-maximize",
         titlebarCloseClass: "-close",
         contentClass: "-content",
+        titlebarActiveClass: "-titlebar-active",
+        titlebarInactiveClass: "-titlebar-inactive",
+        minimizedClass: "-minimized",
+        maximizedClass: "-maximized",
 
         drag: "xy",
         draggingThreshold: 10,
+        snapEdgeSize: 16,
 
         resize: "xy",
         resizeCursorClass: "cursor-resize",
         resizePointEdgeSize: 8,
         resizePointCornerSize: 12,
+        resizeHandleClass: "-resize-handle",
 
         resizeMinWidth: 100,
-        resizeMinHeight: 50
+        resizeMinHeight: 50,
+
+        keyboard: true,
+        keyboardStep: 10,
     });
 
+    /** Elements that can take the focus with Tab, for cycling the focus inside a window. */
+    static FocusableSelector = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable]:not([contenteditable="false"]), [tabindex]:not([tabindex="-1"])';
+    /** Used to generate ids for `aria-labelledby`. */
+    static _idCounter = 0;
+
+    /** localStorage key of the saved layouts (a JSON object of `persistId => FakeWindowLayout`). */
+    static LayoutStorageKey = "fakeWindowLayout";
+
     static util = Object.freeze({
         /**
          * Passthrough assertion of not being falsy.
@@ -120,6 +179,26 @@ class FakeWindow {
                 rect1.y + rect1.height > rect2.y;
         },
 
+        /**
+         * Clamp a value between min and max. Unset (null/undefined) bounds are ignored.
+         *
+         * @param {number} value
+         * @param {number | undefined} min
+         * @param {number | undefined} max
+         *
+         * @returns {number}
+         */
+        clamp: (value, min, max) => {
+            if (typeof max === "number" && value > max) {
+                value = max;
+            }
+            if (typeof min === "number" && value < min) {
+                value = min;
+            }
+
+            return value;
+        },
+
         /**
          * @template T
          * @param {T} obj
@@ -227,30 +306,739 @@ class FakeWindow {
     }
 
     /**
-     * Closes this window (removing the primary elem)
+     * Get the window rect, relative to the window's offset parent (what the `left`/`top` style is relative to).
+     *
+     * @returns {{ x: number, y: number, width: number, height: number }}
+     */
+    getRect() {
+        if (!this.window) {
+            throw new Error("[FakeWindow::getRect] Cannot get rect of unavailable or closed window.");
+        }
+
+        return {
+            x: this.window.offsetLeft,
+            y: this.window.offsetTop,
+            width: this.window.offsetWidth,
+            height: this.window.offsetHeight,
+        };
+    }
+
+    /**
+     * Set the window rect, relative to the window's offset parent.
+     * The size is clamped to the `resizeMin/Max` constraints, omitted fields are left as is.
+     *
+     * @param {{ x?: number, y?: number, width?: number, height?: number }} rect
+     */
+    setRect(rect) {
+        if (!this.window) {
+            throw new Error("[FakeWindow::setRect] Cannot set rect of unavailable or closed window.");
+        }
+
+        const result = FakeWindow.util.shallowClone(rect);
+        if (typeof result.width === "number") {
+            result.width = FakeWindow.util.clamp(result.width, this._config.resizeMinWidth, this._config.resizeMaxWidth);
+        }
+        if (typeof result.height === "number") {
+            result.height = FakeWindow.util.clamp(result.height, this._config.resizeMinHeight, this._config.resizeMaxHeight);
+        }
+
+        this._applyRect(result);
+    }
+
+    /**
+     * Set the window rect as is, without any constraints.
+     *
+     * @param {{ x?: number, y?: number, width?: number, height?: number }} rect
+     */
+    _applyRect(rect) {
+        const prevRect = this.getRect();
+        const style = this.window.style;
+        if (!["absolute", "fixed"].includes(getComputedStyle(this.window).position)) {
+            // left/top does nothing on a static element (and offsets a relative one from its place in the flow)
+            style.position = "absolute";
+        }
+        // offsetWidth/Height include the border, so the rect has to round-trip
+        style.boxSizing = "border-box";
+
+        if (typeof rect.x === "number") {
+            style.left = `${rect.x}px`;
+        }
+        if (typeof rect.y === "number") {
+            style.top = `${rect.y}px`;
+        }
+        if (typeof rect.width === "number") {
+            style.width = `${rect.width}px`;
+        }
+        if (typeof rect.height === "number") {
+            style.height = `${rect.height}px`;
+        }
+
+        const newRect = this.getRect();
+        if (newRect.x !== prevRect.x || newRect.y !== prevRect.y) {
+            this._emit("move", { rect: newRect });
+        }
+        if (newRect.width !== prevRect.width || newRect.height !== prevRect.height) {
+            this._emit("resize", { rect: newRect });
+        }
+    }
+
+    /**
+     * Get the rect of the area the window can be maximized/snapped into, in the same coordinates as {@link getRect}.
+     * If the window is positioned relative to the page, this is the visible part of the page.
+     *
+     * @returns {TRect}
+     */
+    getParentRect() {
+        const parent = this.window.offsetParent;
+        if (!parent || parent === document.body || parent === document.documentElement) {
+            return {
+                x: window.scrollX, y: window.scrollY,
+                width: document.documentElement.clientWidth, height: document.documentElement.clientHeight
+            };
+        }
+
+        return { x: 0, y: 0, width: parent.clientWidth, height: parent.clientHeight };
+    }
+
+    /**
+     * Get the snap tile for the pointer position, or null if it isn't close enough to an edge of the parent.
+     *
+     * @param {{ x: number, y: number }} cursor Client (viewport) coordinates.
+     *
+     * @returns {TEdges | TCorners | null}
+     */
+    _getSnapTile(cursor) {
+        const snapEdgeSize = this._config.snapEdgeSize;
+        if (!(snapEdgeSize > 0)) {
+            return null;
+        }
+
+        const parent = this.window.offsetParent;
+        const bounds = !parent || parent === document.body || parent === document.documentElement ?
+            { x: 0, y: 0, width: document.documentElement.clientWidth, height: document.documentElement.clientHeight } :
+            parent.getBoundingClientRect();
+
+        const vertical = cursor.y <= bounds.y + snapEdgeSize ? "n" : (cursor.y >= bounds.y + bounds.height - snapEdgeSize ? "s" : "");
+        const horizontal = cursor.x <= bounds.x + snapEdgeSize ? "w" : (cursor.x >= bounds.x + bounds.width - snapEdgeSize ? "e" : "");
+        // Only the top edge snaps alone (into maximize), bottom needs a side for a quarter tile
+        if (!horizontal && vertical !== "n") {
+            return null;
+        }
+
+        return vertical + horizontal;
+    }
+
+    /**
+     * Add an event listener, see the class summary for the events.
+     *
+     * @param {string} type
+     * @param {(e: CustomEvent) => void} listener
+     * @param {AddEventListenerOptions | boolean | undefined} options
+     *
+     * @returns {this}
+     */
+    on(type, listener, options = undefined) {
+        this.addEventListener(type, listener, options);
+        return this;
+    }
+
+    /**
+     * Remove an event listener added with {@link on}.
+     *
+     * @param {string} type
+     * @param {(e: CustomEvent) => void} listener
+     * @param {EventListenerOptions | boolean | undefined} options
+     *
+     * @returns {this}
+     */
+    off(type, listener, options = undefined) {
+        this.removeEventListener(type, listener, options);
+        return this;
+    }
+
+    /**
+     * Dispatch an event of this window.
+     *
+     * @param {string} type
+     * @param {any} detail
+     * @param {boolean} cancelable
+     *
+     * @returns {boolean} false if the event was cancelled.
+     */
+    _emit(type, detail = null, cancelable = false) {
+        return this.dispatchEvent(new CustomEvent(type, { detail, cancelable }));
+    }
+
+    /**
+     * Minimize the window. If the window has a manager with a taskbar the window is hidden, otherwise it is collapsed to its titlebar.
+     */
+    minimize() {
+        if (!this.window) {
+            throw new Error("[FakeWindow::minimize] Cannot minimize unavailable or closed window.");
+        }
+        if (this.minimized) {
+            return;
+        }
+
+        this.minimized = true;
+        this._minimizedRect = this.maximized || this.snapped ? this._restoreRect : this.getRect();
+        this._minimizedStyle = { height: this.window.style.height, display: this.window.style.display };
+        this.window.classList.add(this._config.elementClassPrefix + this._config.minimizedClass);
+        if (this.manager?.taskbar) {
+            this.window.style.display = "none";
+        } else {
+            this.content.style.display = "none";
+            this.window.style.height = "auto";
+        }
+
+        this._emit("minimize");
+    }
+
+    /**
+     * Maximize the window to fill its parent (see {@link getParentRect}). The current rect is kept for {@link restore}.
+     *
+     * @param {TRect | null} restoreRect Rect to restore to instead of the current one.
+     */
+    maximize(restoreRect = null) {
+        if (!this.window) {
+            throw new Error("[FakeWindow::maximize] Cannot maximize unavailable or closed window.");
+        }
+        if (this.minimized) {
+            this.restore();
+        }
+        if (this.maximized) {
+            return;
+        }
+
+        // Snapped windows already have their restore rect
+        if (restoreRect) {
+            this._restoreRect = restoreRect;
+        } else if (!this.snapped) {
+            this._restoreRect = this.getRect();
+        }
+        this.snapped = null;
+        this.maximized = true;
+
+        const rect = this.getParentRect();
+        this._applyRect(rect);
+        this.window.classList.add(this._config.elementClassPrefix + this._config.maximizedClass);
+
+        this._emit("maximize", { rect });
+    }
+
+    /**
+     * Snap the window into a half (edge) or quarter (corner) tile of its parent. The "n" tile maximizes the window.
+     *
+     * @param {TEdges | TCorners} tile
+     * @param {TRect | null} restoreRect Rect to restore to instead of the current one.
+     */
+    snap(tile, restoreRect = null) {
+        if (!this.window) {
+            throw new Error("[FakeWindow::snap] Cannot snap unavailable or closed window.");
+        }
+        if (tile === "n") {
+            this.maximize(restoreRect);
+            return;
+        }
+        if (this.minimized) {
+            this.restore();
+        }
+        // Maximized/snapped windows already have their restore rect
+        if (restoreRect) {
+            this._restoreRect = restoreRect;
+        } else if (!this.snapped && !this.maximized) {
+            this._restoreRect = this.getRect();
+        }
+        if (this.maximized) {
+            this.maximized = false;
+            this.window.classList.remove(this._config.elementClassPrefix + this._config.maximizedClass);
+        }
+        this.snapped = tile;
+
+        const parentRect = this.getParentRect();
+        const rect = FakeWindow.util.shallowClone(parentRect);
+        if (tile.includes("w") || tile.includes("e")) {
+            rect.width = Math.floor(parentRect.width / 2);
+            rect.x = tile.includes("e") ? parentRect.x + parentRect.width - rect.width : parentRect.x;
+        }
+        if (tile.length === 2) {
+            rect.height = Math.floor(parentRect.height / 2);
+            rect.y = tile.includes("s") ? parentRect.y + parentRect.height - rect.height : parentRect.y;
+        }
+        this._applyRect(rect);
+
+        this._emit("snap", { tile, rect });
+    }
+
+    /**
+     * Restore the window from the minimized, maximized or snapped state.
+     * A minimized window goes back to the state it was minimized from (e.g. stays maximized).
+     */
+    restore() {
+        if (!this.window) {
+            throw new Error("[FakeWindow::restore] Cannot restore unavailable or closed window.");
+        }
+
+        if (this.minimized) {
+            this.minimized = false;
+            this.window.style.height = this._minimizedStyle.height;
+            this.window.style.display = this._minimizedStyle.display;
+            this.content.style.display = "";
+            this.window.classList.remove(this._config.elementClassPrefix + this._config.minimizedClass);
+
+            this._emit("restore", { from: "minimize", rect: this.getRect() });
+            return;
+        }
+        if (!this.maximized && !this.snapped) {
+            return;
+        }
+
+        const from = this.maximized ? "maximize" : "snap";
+        this.maximized = false;
+        this.snapped = null;
+        this.window.classList.remove(this._config.elementClassPrefix + this._config.maximizedClass);
+        if (this._restoreRect) {
+            this.setRect(this._restoreRect);
+        }
+
+        this._emit("restore", { from, rect: this.getRect() });
+    }
+
+    /**
+     * Maximize the window, or restore it if it is already maximized.
+     */
+    toggleMaximize() {
+        if (this.maximized) {
+            this.restore();
+        } else {
+            this.maximize();
+        }
+    }
+
+    /**
+     * Compute a moved rect, only moving on the axes allowed by the `drag` config.
+     *
+     * @param {{ x: number, y: number, width: number, height: number }} startRect
+     * @param {number} dx
+     * @param {number} dy
+     *
+     * @returns {{ x: number, y: number, width: number, height: number }}
+     */
+    _computeMove(startRect, dx, dy) {
+        const drag = this._config.drag ?? "";
+
+        return {
+            x: drag.includes("x") ? startRect.x + dx : startRect.x,
+            y: drag.includes("y") ? startRect.y + dy : startRect.y,
+            width: startRect.width,
+            height: startRect.height,
+        };
+    }
+
+    /**
+     * Compute a resized rect by dragging the given edge/corner by the delta.
+     * The size is constrained to `resizeMin/Max`, edges that are dragged from the "n" or "w" side keep the opposite side anchored.
+     *
+     * @param {{ x: number, y: number, width: number, height: number }} startRect
+     * @param {TCorners | TEdges} dir
+     * @param {number} dx
+     * @param {number} dy
+     *
+     * @returns {{ x: number, y: number, width: number, height: number }}
+     */
+    _computeResize(startRect, dir, dx, dy) {
+        const _config = this._config;
+        const resize = _config.resize ?? "";
+        const result = FakeWindow.util.shallowClone(startRect);
+
+        if (resize.includes("x")) {
+            if (dir.includes("e")) {
+                result.width = FakeWindow.util.clamp(startRect.width + dx, _config.resizeMinWidth, _config.resizeMaxWidth);
+            } else if (dir.includes("w")) {
+                result.width = FakeWindow.util.clamp(startRect.width - dx, _config.resizeMinWidth, _config.resizeMaxWidth);
+                result.x = startRect.x + (startRect.width - result.width);
+            }
+        }
+        if (resize.includes("y")) {
+            if (dir.includes("s")) {
+                result.height = FakeWindow.util.clamp(startRect.height + dy, _config.resizeMinHeight, _config.resizeMaxHeight);
+            } else if (dir.includes("n")) {
+                result.height = FakeWindow.util.clamp(startRect.height - dy, _config.resizeMinHeight, _config.resizeMaxHeight);
+                result.y = startRect.y + (startRect.height - result.height);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Add an element over every edge/corner resize zone. The zones are still hit tested by {@link getWindowCursorState},
+     * the handles only keep a touch on them from panning the page (which cancels the pointer), without blocking scrolling of the content.
+     */
+    _createResizeHandles() {
+        const resize = this._config.resize ?? "";
+        const edgeSize = `${this._config.resizePointEdgeSize}px`;
+        const cornerSize = `${this._config.resizePointCornerSize}px`;
+
+        /** @type {[TEdges | TCorners, Partial<CSSStyleDeclaration>][]} */
+        const handles = [];
+        if (resize.includes("x")) {
+            handles.push(
+                ["w", { left: "0", top: cornerSize, bottom: cornerSize, width: edgeSize }],
+                ["e", { right: "0", top: cornerSize, bottom: cornerSize, width: edgeSize }]
+            );
+        }
+        if (resize.includes("y")) {
+            handles.push(
+                ["n", { top: "0", left: cornerSize, right: cornerSize, height: edgeSize }],
+                ["s", { bottom: "0", left: cornerSize, right: cornerSize, height: edgeSize }]
+            );
+        }
+        if (resize.includes("x") && resize.includes("y")) {
+            for (const corner of ["nw", "ne", "se", "sw"]) {
+                handles.push([corner, {
+                    [corner[0] === "n" ? "top" : "bottom"]: "0",
+                    [corner[1] === "w" ? "left" : "right"]: "0",
+                    width: cornerSize,
+                    height: cornerSize,
+                }]);
+            }
+        }
+
+        const handleClass = this._config.elementClassPrefix + this._config.resizeHandleClass;
+        for (const [dir, style] of handles) {
+            const handle = document.createElement("div");
+            handle.classList.add(handleClass, `${handleClass}-${dir}`);
+            handle.setAttribute("aria-hidden", "true");
+            Object.assign(handle.style, { position: "absolute", touchAction: "none" }, style);
+            this.window.appendChild(handle);
+        }
+    }
+
+    /**
+     * Sets the hover cursor class (`{resizeCursorClass}-{dir}`), or clears it if `dir` is null.
+     *
+     * @param {TCorners | TEdges | null} dir
+     */
+    _setCursorClass(dir) {
+        const targetClass = dir ? `${this._config.resizeCursorClass}-${dir}` : null;
+        if (targetClass === this._cursorHoverState) {
+            return;
+        }
+
+        if (this._cursorHoverState) {
+            this.window.classList.remove(this._cursorHoverState);
+        }
+        if (targetClass) {
+            this.window.classList.add(targetClass);
+        }
+        this._cursorHoverState = targetClass;
+    }
+
+    /**
+     * Update the state dependent accessible labels.
+     */
+    _updateAria() {
+        if (this.titlebarMaximize && this._ownsMaximizeLabel) {
+            this.titlebarMaximize.setAttribute("aria-label", this.maximized || this.snapped ? "Restore" : "Maximize");
+        }
+    }
+
+    /**
+     * Keep Tab/Shift+Tab cycling inside the window.
+     *
+     * @param {KeyboardEvent} e
+     */
+    _cycleTabFocus(e) {
+        const focusables = Array.from(this.window.querySelectorAll(FakeWindow.FocusableSelector))
+            .filter((elem) => elem.getClientRects().length > 0);
+        if (focusables.length <= 0) {
+            e.preventDefault();
+            this.window.focus();
+            return;
+        }
+
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        const active = document.activeElement;
+        if (e.shiftKey && (active === first || active === this.window)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Keyboard handling of the window, moving and resizing goes through the same constraints as the pointer.
+     *
+     * @param {KeyboardEvent} e
+     */
+    _onKeyDown(e) {
+        if (e.defaultPrevented) {
+            return;
+        }
+
+        if (e.key === "Tab") {
+            this._cycleTabFocus(e);
+            return;
+        }
+        if (!this._config.keyboard) {
+            return;
+        }
+        if (e.key === "Escape") {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        /** @type {Record<string, [number, number]>} */
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (!e.altKey || e.ctrlKey || e.metaKey || !(e.key in arrows) || this.minimized || this.maximized) {
+            return;
+        }
+
+        e.preventDefault();
+        const step = this._config.keyboardStep;
+        const [dx, dy] = arrows[e.key].map((v) => v * step);
+        // A snapped window stays where it is, only out of the tile
+        const startRect = this.getRect();
+        this.snapped = null;
+
+        if (e.shiftKey) {
+            // Grows/shrinks from the bottom right, like dragging the "se" corner
+            this.setRect(this._computeResize(startRect, dx !== 0 ? "e" : "s", dx, dy));
+        } else if (this._config.drag) {
+            this.setRect(this._computeMove(startRect, dx, dy));
+        }
+        this._updateAria();
+    }
+
+    /**
+     * Closes this window (removing the primary elem and its listeners), unless a `beforeclose` listener cancels it.
      * 
      * After closing a window, it can't be reused.
+     *
+     * @returns {boolean} Whether the window was closed.
      */
     close() {
         if (!this.window) {
             throw new Error("[FakeWindow::close] Cannot close unavailable or already closed window.");
         }
 
+        if (!this._emit("beforeclose", null, true)) {
+            return false;
+        }
+
+        if (this.manager) {
+            this.manager.remove(this);
+        }
+
+        this._listenerAbort.abort();
         this.window.remove();
         this.window = null;
+        this._state = null;
 
-        document.removeEventListener("mouseup", _onMouseUp);
+        this._emit("close");
+        return true;
     }
 
     /**
-     * Clears the mouse state of this window.
-     * @param {MouseEvent} e
+     * Clears the pointer (move/resize) state of this window.
+     * @param {PointerEvent} e
      */
-    _onMouseUp(e) {
-        if (this._state) {
-            e.preventDefault();
-            this._state = null;
+    _onPointerUp(e) {
+        if (!this._state || e.pointerId !== this._cursorState.pointerId) {
+            return;
+        }
+
+        e.preventDefault();
+        if (this.window.hasPointerCapture(e.pointerId)) {
+            this.window.releasePointerCapture(e.pointerId);
+        }
+
+        const state = this._state;
+        this._state = null;
+        if (state.name === "move" && state.dragging && e.type === "pointerup") {
+            const tile = this._getSnapTile({ x: e.clientX, y: e.clientY });
+            if (tile) {
+                // Windows moved away from a tile already restored, their pre-drag rect is the one to keep
+                this.snap(tile, state.restoreRect ?? state.startRect);
+            }
+        }
+
+        this._cursorState.pointerId = null;
+        this._setCursorClass(null);
+    }
+
+    /**
+     * Get all of the saved window layouts.
+     *
+     * @returns {Record<string, FakeWindowLayout>}
+     */
+    static loadLayouts() {
+        try {
+            const layouts = JSON.parse(localStorage.getItem(FakeWindow.LayoutStorageKey) ?? "{}");
+            return layouts && typeof layouts === "object" && !Array.isArray(layouts) ? layouts : {};
+        } catch (e) {
+            console.warn("[FakeWindow::loadLayouts] Failed to load the window layouts.", e);
+            return {};
+        }
+    }
+
+    /**
+     * Overwrite all of the saved window layouts.
+     *
+     * @param {Record<string, FakeWindowLayout>} layouts
+     */
+    static saveLayouts(layouts) {
+        try {
+            localStorage.setItem(FakeWindow.LayoutStorageKey, JSON.stringify(layouts));
+        } catch (e) {
+            // Storage is full or disabled, the layout just won't persist
+            console.warn("[FakeWindow::saveLayouts] Failed to save the window layouts.", e);
+        }
+    }
+
+    /**
+     * Remove the saved layout of a window, or all of them if no id is given.
+     * This doesn't change the open windows, they are laid out from scratch on the next page load (or saved again once they change).
+     *
+     * @param {string | null} persistId
+     */
+    static resetLayout(persistId = null) {
+        if (persistId === null) {
+            try {
+                localStorage.removeItem(FakeWindow.LayoutStorageKey);
+            } catch (e) {
+                console.warn("[FakeWindow::resetLayout] Failed to reset the window layouts.", e);
+            }
+            return;
+        }
+
+        const layouts = FakeWindow.loadLayouts();
+        delete layouts[persistId];
+        FakeWindow.saveLayouts(layouts);
+    }
+
+    /**
+     * Export the saved layouts as a JSON string.
+     *
+     * @returns {string}
+     */
+    static exportLayout() {
+        return JSON.stringify(FakeWindow.loadLayouts(), null, 4);
+    }
+
+    /**
+     * Import layouts exported with {@link exportLayout}, replacing the saved ones with the same ids.
+     * The imported layouts apply to the windows constructed after this.
+     *
+     * @param {string} json
+     */
+    static importLayout(json) {
+        const imported = JSON.parse(json);
+        FakeWindow.util.assert(imported && typeof imported === "object" && !Array.isArray(imported), "[FakeWindow::importLayout] Layout JSON should be an object of window layouts.");
+
+        FakeWindow.saveLayouts(Object.assign(FakeWindow.loadLayouts(), imported));
+    }
+
+    /**
+     * Get the current layout of this window.
+     *
+     * @returns {FakeWindowLayout}
+     */
+    getLayout() {
+        if (!this.window) {
+            throw new Error("[FakeWindow::getLayout] Cannot get layout of unavailable or closed window.");
+        }
+
+        /** @type {TRect | null} */
+        let rect = null;
+        if (this.minimized) {
+            // Collapsed/hidden size is not the one to keep
+            rect = this._minimizedRect;
+        } else if (this.maximized || this.snapped) {
+            rect = this._restoreRect;
+        } else {
+            rect = this.getRect();
+        }
+
+        return {
+            rect,
+            minimized: this.minimized,
+            maximized: this.maximized,
+            snapped: this.snapped,
+            order: this._layoutOrder,
+        };
+    }
+
+    /**
+     * Save the layout of this window, if it has a `persistId`. Saving is deferred so that a drag doesn't write on every pointer move.
+     */
+    _scheduleLayoutSave() {
+        if (!this._config.persistId || this._layoutSaveTimeout !== null) {
+            return;
+        }
+
+        this._layoutSaveTimeout = setTimeout(() => {
+            this._layoutSaveTimeout = null;
+            if (!this.window) {
+                return;
+            }
+
+            const layouts = FakeWindow.loadLayouts();
+            layouts[this._config.persistId] = this.getLayout();
+            FakeWindow.saveLayouts(layouts);
+        }, 200);
+    }
+
+    /**
+     * Clamp the rect into the parent, so that a window saved on a bigger viewport doesn't end up off-screen.
+     *
+     * @param {TRect} rect
+     * @returns {TRect}
+     */
+    _clampToParent(rect) {
+        const parentRect = this.getParentRect();
+        const result = FakeWindow.util.shallowClone(rect);
+
+        result.width = Math.min(result.width, parentRect.width);
+        result.height = Math.min(result.height, parentRect.height);
+        result.x = FakeWindow.util.clamp(result.x, parentRect.x, parentRect.x + parentRect.width - result.width);
+        result.y = FakeWindow.util.clamp(result.y, parentRect.y, parentRect.y + parentRect.height - result.height);
+
+        return result;
+    }
+
+    /**
+     * Apply the saved layout of this window (if any).
+     *
+     * @returns {boolean} Whether there was a layout to restore.
+     */
+    _restoreLayout() {
+        /** @type {FakeWindowLayout | undefined} */
+        const layout = this._config.persistId ? FakeWindow.loadLayouts()[this._config.persistId] : undefined;
+        if (!layout) {
+            return false;
+        }
+
+        this._savedLayoutOrder = typeof layout.order === "number" ? layout.order : null;
+        this._layoutOrder = this._savedLayoutOrder;
+        if (layout.rect) {
+            this.setRect(this._clampToParent(layout.rect));
+        }
+        if (layout.maximized) {
+            this.maximize();
+        } else if (layout.snapped) {
+            this.snap(layout.snapped);
         }
+        if (layout.minimized) {
+            this.minimize();
+        }
+
+        return true;
     }
 
     /**
@@ -260,13 +1048,17 @@ class FakeWindow {
      * @param {FakeWindowConfig} config
      */
     constructor(windowElem, config = FakeWindow.util.shallowClone(FakeWindow.ConfigDefaults)) {
-        this._config = config;
+        super();
+
+        // Fill unset values from the defaults (this also avoids writing into a frozen config)
+        this._config = Object.assign(FakeWindow.util.shallowClone(FakeWindow.ConfigDefaults), config);
+        config = this._config;
 
         this._config.resize = this._config.resize?.toLowerCase();
         FakeWindow.util.assert(!this._config.resize || (this._config.resize.length <= 2 && FakeWindow.util.all(this._config.resize, (ch) => /[xy]/i.test(ch)) && !!this._config.resizeCursorClass && this._config.resizePointCornerSize > 0 && this._config.resizePointEdgeSize > 0), "[window::FakeWindow] invalid resize setup, drag string should only contain X and Y, resizePointSize should be >0 and resizeCursorClass should be available if resize is available");
         this._config.drag = this._config.drag?.toLowerCase();
         FakeWindow.util.assert(!this._config.drag || (this._config.drag.length <= 2 && FakeWindow.util.all(this._config.drag, (ch) => /[xy]/i.test(ch))), "[window::FakeWindow] invalid drag setup, drag string should only contain X and Y.");
-        if (this._config.draggingThreshold <= 10 || typeof this._config.draggingThreshold !== "number") {
+        if (this._config.draggingThreshold < 0 || typeof this._config.draggingThreshold !== "number") {
             this._config.draggingThreshold = FakeWindow.ConfigDefaults.draggingThreshold;
         }
 
@@ -280,117 +1072,570 @@ class FakeWindow {
     
         this.content = FakeWindow.util.assert(windowElem.querySelector(`.${config.elementClassPrefix + config.contentClass}`), "[window::FakeWindow] No content");
 
-        /** @type {{ name: "move" | "resize", params: TCorners | TEdges | null } | null} */
+        /** @type {FakeWindowManager | null} The manager this window is registered to, set by {@link FakeWindowManager.add}. */
+        this.manager = null;
+
+        this.minimized = false;
+        this.maximized = false;
+        /** @type {TEdges | TCorners | null} Current snap tile. */
+        this.snapped = null;
+        /** @type {TRect | null} Rect to go back to from the maximized/snapped state. */
+        this._restoreRect = null;
+        /** @type {{ height: string, display: string } | null} Inline styles overridden by minimizing. */
+        this._minimizedStyle = null;
+        /** @type {TRect | null} Normal rect from before minimizing, the one to keep in the layout while minimized. */
+        this._minimizedRect = null;
+
+        /** @type {number | null} Stacking order, set by the manager. */
+        this._layoutOrder = null;
+        /** @type {number | null} Stacking order from the saved layout, used by the manager to put the window back in place. */
+        this._savedLayoutOrder = null;
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        this._layoutSaveTimeout = null;
+
+        /** @type {{ name: "move" | "resize", params: TCorners | TEdges | null, startRect: TRect, restoreRect?: TRect, dragging: boolean } | null} */
         this._state = null;
         /** @type {string | null} */
         this._cursorHoverState = null;
-        this._cursorState = { mouseDown: false, downCoord: { x:0, y:0 } };
+        /** @type {{ pointerId: number | null, downCoord: { x: number, y: number } }} */
+        this._cursorState = { pointerId: null, downCoord: { x:0, y:0 } };
         const eventThis = this;
         const eventConf = this._config;
+        /** Aborted on {@link close}, detaching every listener added here. */
+        this._listenerAbort = new AbortController();
+        const listenerOpts = { signal: this._listenerAbort.signal };
+
+        // Touch would scroll the page instead of dragging/resizing the window otherwise
+        if (eventConf.drag) {
+            this.titlebar.style.touchAction = "none";
+        }
+        if (eventConf.resize) {
+            // The handles are absolute, a static window would place them against some ancestor.
+            // Relative keeps the window in the flow until its first setRect
+            if (getComputedStyle(windowElem).position === "static") {
+                windowElem.style.position = "relative";
+            }
+            this._createResizeHandles();
+        }
 
         // Add event listeners for resizing/general window crap.
-        windowElem.addEventListener("mousemove", (e) => {
+        windowElem.addEventListener("pointermove", (e) => {
             // what if WndProc but 100000x slower?
+            if (eventThis._state) {
+                if (e.pointerId !== eventThis._cursorState.pointerId) {
+                    return;
+                }
+
+                const dx = e.clientX - eventThis._cursorState.downCoord.x;
+                const dy = e.clientY - eventThis._cursorState.downCoord.y;
+                const state = eventThis._state;
+
+                switch (state.name) {
+                    case "move": {
+                        // Don't move until the pointer went far enough, so clicks on the titlebar don't jiggle the window.
+                        if (!state.dragging && Math.hypot(dx, dy) < eventConf.draggingThreshold) {
+                            break;
+                        }
+
+                        if (!state.dragging && (eventThis.maximized || eventThis.snapped)) {
+                            // Dragging out of a maximized/snapped state goes back to the previous size, keeping the grabbed point under the pointer
+                            const ratioX = (eventThis._cursorState.downCoord.x - eventThis.window.getBoundingClientRect().x) / state.startRect.width;
+                            state.restoreRect = eventThis._restoreRect;
+                            eventThis.restore();
+
+                            const restoredRect = eventThis.getRect();
+                            restoredRect.x = state.startRect.x + (state.startRect.width - restoredRect.width) * ratioX;
+                            restoredRect.y = state.startRect.y;
+                            state.startRect = restoredRect;
+                        }
+
+                        state.dragging = true;
+                        e.preventDefault();
+                        eventThis.setRect(eventThis._computeMove(state.startRect, dx, dy));
+                        break;
+                    }
+                    case "resize": {
+                        e.preventDefault();
+                        eventThis.setRect(eventThis._computeResize(state.startRect, state.params, dx, dy));
+                        break;
+                    }
+
+                    default: { break; }
+                }
+
+                return;
+            }
+
             // Set cursor state depending on what the user do
+            // (touch/pen have no hover, the resize zones are checked on pointerdown)
+            if (e.pointerType !== "mouse") {
+                return;
+            }
 
             // Check if within a limit button
-            if (e.target === this.titlebarMinimize || e.target === this.titlebarMaximize || e.target === this.titlebarClose) {
+            if (e.target === eventThis.titlebarMinimize || e.target === eventThis.titlebarMaximize || e.target === eventThis.titlebarClose) {
+                eventThis._setCursorClass(null);
                 return;
             }
-            
+
             // Check if within an edge or corner
             const resizeX = eventConf.resize?.includes("x");
             const resizeY = eventConf.resize?.includes("y");
             const resizeBoth = resizeX && resizeY;
 
             const cursorState = eventThis.getWindowCursorState(e, resizeX, resizeY, resizeBoth);
-            const cursorStateClassPostfix = cursorState.edge || cursorState.corner;
-            if (cursorStateClassPostfix) {
-                const targetClass = `${eventConf.resizeCursorClass}-${cursorStateClassPostfix}`;
-
-                if (!eventThis.window.classList.contains(targetClass)) {
-                    eventThis.window.classList.add(targetClass);
-                    if (eventThis._cursorHoverState) {
-                        eventThis.window.classList.remove(eventThis._cursorHoverState);
-                    }
-                    eventThis._cursorHoverState = targetClass;
-                }
+            eventThis._setCursorClass(cursorState.corner || cursorState.edge);
+        }, listenerOpts);
+        windowElem.addEventListener("pointerleave", (e) => {
+            if (!eventThis._state) {
+                eventThis._setCursorClass(null);
+            }
+        }, listenerOpts);
+
+        windowElem.addEventListener("pointerdown", (e) => {
+            // Only the primary button (or touch/pen contact) starts anything
+            if (eventThis._state || e.button !== 0) {
+                return;
+            }
+            if (e.target instanceof Element && [eventThis.titlebarMinimize, eventThis.titlebarMaximize, eventThis.titlebarClose].some((btn) => btn?.contains(e.target))) {
+                return;
+            }
+
+            const resizeX = eventConf.resize?.includes("x");
+            const resizeY = eventConf.resize?.includes("y");
+            const resizeBoth = resizeX && resizeY;
 
+            const cursorState = eventThis.getWindowCursorState(e, resizeX, resizeY, resizeBoth);
+            // Corner resizing is prioritized, then comes dragging
+            const resizeState = eventThis.maximized || eventThis.minimized ? null : cursorState.corner || cursorState.edge;
+            if (resizeState) {
+                eventThis._state = { name: "resize", params: resizeState, startRect: eventThis.getRect(), dragging: true };
+                eventThis._setCursorClass(resizeState);
+            } else if (cursorState.inDragZone && eventConf.drag) {
+                eventThis._state = { name: "move", params: null, startRect: eventThis.getRect(), dragging: false };
+            } else {
                 return;
             }
 
-            if (eventThis._cursorHoverState) {
-                eventThis.window.classList.remove(eventThis._cursorHoverState)
-                eventThis._cursorHoverState = null;
+            e.preventDefault();
+            eventThis._cursorState.pointerId = e.pointerId;
+            eventThis._cursorState.downCoord = { x: e.clientX, y: e.clientY };
+            // Keeps the events coming to the window while the pointer is outside of it
+            windowElem.setPointerCapture(e.pointerId);
+        }, listenerOpts);
+        windowElem.addEventListener("pointerup", (e) => eventThis._onPointerUp(e), listenerOpts);
+        windowElem.addEventListener("pointercancel", (e) => eventThis._onPointerUp(e), listenerOpts);
+
+        // Titlebar buttons
+        // A window collapsed to its titlebar has no taskbar entry to come back from, the button toggles it instead
+        this.titlebarMinimize?.addEventListener("click", () => (eventThis.minimized ? eventThis.restore() : eventThis.minimize()), listenerOpts);
+        this.titlebarMaximize?.addEventListener("click", () => eventThis.toggleMaximize(), listenerOpts);
+        this.titlebarClose.addEventListener("click", () => eventThis.close(), listenerOpts);
+        this.titlebar.addEventListener("dblclick", (e) => {
+            if ([eventThis.titlebarMinimize, eventThis.titlebarMaximize, eventThis.titlebarClose].some((btn) => btn?.contains(e.target))) {
+                return;
             }
-        });
 
-        windowElem.addEventListener("mousedown", (e) => {
+            if (eventThis.minimized || eventThis.snapped) {
+                eventThis.restore();
+            } else {
+                eventThis.toggleMaximize();
+            }
+        }, listenerOpts);
+
+        // Accessibility
+        windowElem.setAttribute("role", "dialog");
+        if (!windowElem.hasAttribute("tabindex")) {
+            windowElem.tabIndex = -1;
+        }
+        if (this.titlebarText) {
+            if (!this.titlebarText.id) {
+                this.titlebarText.id = `fake-window-title-${FakeWindow._idCounter++}`;
+            }
+            windowElem.setAttribute("aria-labelledby", this.titlebarText.id);
+        }
+        for (const [btn, label] of [[this.titlebarMinimize, "Minimize"], [this.titlebarClose, "Close"]]) {
+            if (btn && !btn.hasAttribute("aria-label")) {
+                btn.setAttribute("aria-label", label);
+            }
+        }
+        // The maximize label changes with the state, unless the markup gave one
+        this._ownsMaximizeLabel = !!this.titlebarMaximize && !this.titlebarMaximize.hasAttribute("aria-label");
+        this._updateAria();
+        for (const type of ["maximize", "snap", "restore"]) {
+            this.addEventListener(type, () => eventThis._updateAria(), listenerOpts);
+        }
+        windowElem.addEventListener("keydown", (e) => eventThis._onKeyDown(e), listenerOpts);
+
+        if (eventConf.persistId) {
+            for (const type of ["move", "resize", "minimize", "maximize", "snap", "restore"]) {
+                this.addEventListener(type, () => eventThis._scheduleLayoutSave(), listenerOpts);
+            }
 
-        });
-        windowElem.addEventListener("mouseup", this._onMouseUp);
-        document.addEventListener("mouseup", this._onMouseUp);
-
-        // TODO : Same drag but with "mouse" events because HTML bruh
-        // windowElem.addEventListener("dragstart", (e) => {
-        //     const resizeX = eventConf.resize?.includes("x");
-        //     const resizeY = eventConf.resize?.includes("y");
-        //     const resizeBoth = resizeX && resizeY;
-
-        //     const cursorState = eventThis.getWindowCursorState(e, resizeX, resizeY, resizeBoth);
-        //     // Corner resizing is prioritized, then comes dragging
-        //     const resizeState = cursorState.corner || cursorState.edge;
-        //     if (resizeState) {
-        //         e.preventDefault();
-        //         eventThis._state = { name: "resize", params: resizeState };
-        //     }
-        //     if (cursorState.inDragZone) {
-        //         e.preventDefault();
-        //         eventThis._state = { name: "move" };
-        //     }
-        // });
-        // windowElem.addEventListener("drag", (e) => {
-        //     if (eventThis._state) {
-        //         switch (eventThis._state.name) {
-        //             case "move": {
-        //                 e.preventDefault();
-        //                 eventThis.window.style.left = e.x;
-        //                 eventThis.window.style.top = e.y;
-        //                 break;
-        //             }
-        //             case "resize": {
-        //                 // TODO : This should "accumulatively resize"?
-        //                 e.preventDefault();
-        //                 break;
-        //             }
-
-        //             default: { break; }
-        //         }
-        //     }
-        // });
-        // windowElem.addEventListener("dragend", (e) => {
-        //     if (eventThis._state) {
-        //         e.preventDefault();
-        //         eventThis._state = null;
-        //     }
-        // });
-    }
-
-    /**
-     * Create a fake window (without an HTMLElement to piggyback from)
+            /** Whether a saved layout was applied, so {@link Create} doesn't override it with the initial rect. */
+            this.layoutRestored = this._restoreLayout();
+        } else {
+            this.layoutRestored = false;
+        }
+    }
+
+    /**
+     * Create a fake window (without an HTMLElement to piggyback from), building the titlebar, buttons and content from the class config.
      * 
      * @param {FakeWindowConfig} config
      * @param {HTMLElement} parentElem
+     * @param {FakeWindowCreateOptions} options
      */
-    static Create(config = FakeWindow.ConfigDefaults, parentElem = null) {
+    static Create(config = FakeWindow.ConfigDefaults, parentElem = null, options = {}) {
         if (!(parentElem instanceof Element)) {
             parentElem = document.body;
         }
 
-        const windowNode = document.createElement("div");
-        windowNode.classList.add(config.windowClass.split(/\s+/g));
+        const _config = Object.assign(FakeWindow.util.shallowClone(FakeWindow.ConfigDefaults), config);
+        /**
+         * @param {string} tagName
+         * @param {string} classNames Space separated class names.
+         * @returns {HTMLElement}
+         */
+        const createElem = (tagName, classNames) => {
+            const elem = document.createElement(tagName);
+            elem.classList.add(...classNames.split(/\s+/g).filter(Boolean));
+            return elem;
+        };
+        /**
+         * @param {string} classPostfix
+         * @param {string} text
+         * @returns {HTMLButtonElement}
+         */
+        const createButton = (classPostfix, text) => {
+            const button = createElem("button", _config.elementClassPrefix + classPostfix);
+            button.type = "button";
+            button.textContent = text;
+            return button;
+        };
+
+        const windowNode = createElem("div", _config.windowClass);
+
+        const titlebar = createElem("div", _config.elementClassPrefix + _config.titlebarClass);
+        const titlebarText = createElem("span", _config.elementClassPrefix + _config.titlebarTextClass);
+        titlebarText.textContent = options.title ?? "";
+        titlebar.append(
+            titlebarText,
+            createButton(_config.titlebarMinimizeClass, "_"),
+            createButton(_config.titlebarMaximizeClass, "\u25a1"),
+            createButton(_config.titlebarCloseClass, "\u00d7")
+        );
+
+        const content = createElem("div", _config.elementClassPrefix + _config.contentClass);
+        if (options.content instanceof URL) {
+            const iframe = document.createElement("iframe");
+            iframe.src = options.content.href;
+            iframe.title = options.title ?? options.content.href;
+            iframe.style.width = "100%";
+            iframe.style.height = "100%";
+            iframe.style.border = "none";
+            content.appendChild(iframe);
+        } else if (options.content instanceof Node) {
+            content.appendChild(options.content);
+        } else if (typeof options.content === "string") {
+            content.innerHTML = options.content;
+        }
+
+        windowNode.append(titlebar, content);
         parentElem.appendChild(windowNode);
 
-        return new FakeWindow(windowNode, config);
+        const fakeWindow = new FakeWindow(windowNode, _config);
+
+        if (fakeWindow.layoutRestored) {
+            return fakeWindow;
+        }
+
+        // Size first, the centering needs the final size
+        const rect = options.rect ?? {};
+        fakeWindow.setRect({ width: rect.width ?? 480, height: rect.height ?? 320 });
+        const parentRect = fakeWindow.getParentRect();
+        const windowRect = fakeWindow.getRect();
+        fakeWindow.setRect({
+            x: rect.x ?? Math.max(parentRect.x, parentRect.x + ((parentRect.width - windowRect.width) / 2)),
+            y: rect.y ?? Math.max(parentRect.y, parentRect.y + ((parentRect.height - windowRect.height) / 2)),
+        });
+
+        return fakeWindow;
+    }
+}
+
+/**
+ * @typedef {Object} FakeWindowManagerConfig
+ * @property {number} baseZIndex z-index of the bottom-most window, every window above it gets +1.
+ * @property {HTMLElement | null} taskbarParent Element to render the taskbar into. If null, no taskbar is rendered.
+ * @property {string} taskbarClass Class of the taskbar list.
+ * @property {string} taskbarItemClass Class of the taskbar entry buttons.
+ * @property {string} taskbarItemActiveClass Class of the taskbar entry of the focused window.
+ * @property {boolean} keyboard Enables Alt+` / Alt+Shift+` on the document to cycle between the windows.
+ */
+
+/** @summary Owns a set of {@link FakeWindow}s, keeping their stacking order, focus and the (optional) taskbar. */
+class FakeWindowManager {
+    /** @type {Readonly<FakeWindowManagerConfig>} */
+    static ConfigDefaults = Object.freeze({
+        baseZIndex: 100,
+        taskbarParent: null,
+
+        taskbarClass: "window-taskbar",
+        taskbarItemClass: "window-taskbar-item",
+        taskbarItemActiveClass: "window-taskbar-item-active",
+
+        keyboard: true,
+    });
+
+    /**
+     * Create a window manager.
+     *
+     * @param {Partial<FakeWindowManagerConfig>} config
+     */
+    constructor(config = {}) {
+        this._config = Object.assign(FakeWindow.util.shallowClone(FakeWindowManager.ConfigDefaults), config);
+
+        /** @type {FakeWindow[]} Windows in stacking order, last one is the top-most. */
+        this.windows = [];
+        /** @type {FakeWindow | null} */
+        this.focused = null;
+        /** @type {Map<FakeWindow, { focus: () => void, minimize: () => void, restore: () => void }>} Listeners on the registered windows, kept for removal. */
+        this._listeners = new Map();
+
+        /** @type {HTMLElement | null} */
+        this.taskbar = null;
+        if (this._config.taskbarParent instanceof Element) {
+            this.taskbar = document.createElement("ul");
+            this.taskbar.classList.add(...this._config.taskbarClass.split(/\s+/g).filter(Boolean));
+            this.taskbar.setAttribute("aria-label", "Open windows");
+            this._config.taskbarParent.appendChild(this.taskbar);
+        }
+
+        if (this._config.keyboard) {
+            document.addEventListener("keydown", (e) => {
+                // Backquote is the key above tab, Alt+Tab belongs to the OS
+                if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === "Backquote" && this.windows.length > 0) {
+                    e.preventDefault();
+                    this.cycle(e.shiftKey ? -1 : 1);
+                }
+            });
+        }
+    }
+
+    /**
+     * Restore (if minimized), focus the window and move the keyboard focus into it.
+     *
+     * @param {FakeWindow} fakeWindow
+     */
+    activate(fakeWindow) {
+        if (fakeWindow.minimized) {
+            fakeWindow.restore();
+        }
+
+        this.focus(fakeWindow);
+        if (!fakeWindow.window.contains(document.activeElement)) {
+            fakeWindow.window.focus();
+        }
+    }
+
+    /**
+     * Activate the next (or previous) window, in the taskbar order.
+     *
+     * @param {1 | -1} direction
+     */
+    cycle(direction = 1) {
+        const order = Array.from(this._listeners.keys());
+        if (order.length <= 0) {
+            return;
+        }
+
+        const index = this.focused ? order.indexOf(this.focused) : -1;
+        // Nothing focused starts from the first (or last) window
+        const nextIndex = index < 0 ? (direction > 0 ? 0 : order.length - 1) : (index + direction + order.length) % order.length;
+        this.activate(order[nextIndex]);
+    }
+
+    /**
+     * Create a window with {@link FakeWindow.Create} and register it to this manager.
+     *
+     * @param {FakeWindowConfig} config
+     * @param {HTMLElement | null} parentElem
+     * @param {FakeWindowCreateOptions} options
+     *
+     * @returns {FakeWindow}
+     */
+    create(config = FakeWindow.ConfigDefaults, parentElem = null, options = {}) {
+        return this.add(FakeWindow.Create(config, parentElem, options));
+    }
+
+    /**
+     * Register a window to this manager, putting it on top and focusing it.
+     *
+     * @param {FakeWindow} fakeWindow
+     *
+     * @returns {FakeWindow} The given window.
+     */
+    add(fakeWindow) {
+        FakeWindow.util.assert(fakeWindow?.window, "[FakeWindowManager::add] Cannot add unavailable or closed window.");
+        if (fakeWindow.manager === this) {
+            return fakeWindow;
+        }
+        if (fakeWindow.manager) {
+            fakeWindow.manager.remove(fakeWindow);
+        }
+
+        fakeWindow.manager = this;
+        // Windows with a saved stacking order go back between the other restored windows, new windows go on top
+        let index = this.windows.length;
+        if (typeof fakeWindow._savedLayoutOrder === "number") {
+            const aboveIndex = this.windows.findIndex((w) => typeof w._savedLayoutOrder !== "number" || w._savedLayoutOrder > fakeWindow._savedLayoutOrder);
+            if (aboveIndex >= 0) {
+                index = aboveIndex;
+            }
+        }
+        this.windows.splice(index, 0, fakeWindow);
+
+        // Minimized before registering (e.g. from a saved layout), minimize again into the taskbar
+        if (fakeWindow.minimized && this.taskbar) {
+            fakeWindow.restore();
+            fakeWindow.minimize();
+        }
+
+        const listeners = {
+            focus: () => this.focus(fakeWindow),
+            minimize: () => {
+                // Minimized windows can't hold the focus, pass it to the top-most visible one
+                if (this.focused === fakeWindow) {
+                    this.focus(this.windows.findLast((w) => !w.minimized) ?? null);
+                } else {
+                    this._update();
+                }
+            },
+            restore: () => this.focus(fakeWindow),
+        };
+        // Capture, so that the focus happens even if the content stops the event
+        fakeWindow.window.addEventListener("pointerdown", listeners.focus, true);
+        fakeWindow.window.addEventListener("focusin", listeners.focus);
+        fakeWindow.addEventListener("minimize", listeners.minimize);
+        fakeWindow.addEventListener("restore", listeners.restore);
+        this._listeners.set(fakeWindow, listeners);
+
+        if (index === this.windows.length - 1 && !fakeWindow.minimized) {
+            this.focus(fakeWindow);
+        } else {
+            this._update();
+        }
+        return fakeWindow;
+    }
+
+    /**
+     * Unregister a window from this manager. The window itself stays as is, {@link FakeWindow.close} calls this.
+     *
+     * @param {FakeWindow} fakeWindow
+     */
+    remove(fakeWindow) {
+        const index = this.windows.indexOf(fakeWindow);
+        if (index < 0) {
+            return;
+        }
+
+        this.windows.splice(index, 1);
+        fakeWindow.manager = null;
+
+        const listeners = this._listeners.get(fakeWindow);
+        if (listeners && fakeWindow.window) {
+            fakeWindow.window.removeEventListener("pointerdown", listeners.focus, true);
+            fakeWindow.window.removeEventListener("focusin", listeners.focus);
+        }
+        if (listeners) {
+            fakeWindow.removeEventListener("minimize", listeners.minimize);
+            fakeWindow.removeEventListener("restore", listeners.restore);
+        }
+        this._listeners.delete(fakeWindow);
+
+        if (this.focused === fakeWindow) {
+            // Pass the focus to the next visible window below
+            this.focused = null;
+            this.focus(this.windows.findLast((w) => !w.minimized) ?? null);
+        } else {
+            this._update();
+        }
+    }
+
+    /**
+     * Bring the window to the front and mark it as focused. Passing null unfocuses all windows.
+     *
+     * @param {FakeWindow | null} fakeWindow
+     */
+    focus(fakeWindow) {
+        if (fakeWindow) {
+            const index = this.windows.indexOf(fakeWindow);
+            FakeWindow.util.assert(index >= 0, "[FakeWindowManager::focus] Window is not registered to this manager.");
+
+            if (this.focused === fakeWindow && index === this.windows.length - 1) {
+                return;
+            }
+
+            this.windows.splice(index, 1);
+            this.windows.push(fakeWindow);
+        }
+
+        const prevFocused = this.focused;
+        this.focused = fakeWindow;
+        this._update();
+
+        if (prevFocused !== fakeWindow) {
+            prevFocused?._emit("blur");
+            fakeWindow?._emit("focus");
+        }
+    }
+
+    /**
+     * Restack the z-indices, set the titlebar focus classes and re-render the taskbar.
+     */
+    _update() {
+        this.windows.forEach((fakeWindow, i) => {
+            const _config = fakeWindow._config;
+            const isFocused = fakeWindow === this.focused;
+
+            fakeWindow.window.style.zIndex = `${this._config.baseZIndex + i}`;
+            if (fakeWindow._layoutOrder !== i) {
+                fakeWindow._layoutOrder = i;
+                fakeWindow._scheduleLayoutSave();
+            }
+            fakeWindow.titlebar.classList.toggle(_config.elementClassPrefix + _config.titlebarActiveClass, isFocused);
+            fakeWindow.titlebar.classList.toggle(_config.elementClassPrefix + _config.titlebarInactiveClass, !isFocused);
+        });
+
+        this._renderTaskbar();
+    }
+
+    /**
+     * Render the taskbar entries, in the order the windows were opened (so they don't jump around when focusing).
+     */
+    _renderTaskbar() {
+        if (!this.taskbar) {
+            return;
+        }
+
+        // Map keeps the insertion order, which is the registration order
+        const entries = Array.from(this._listeners.keys()).map((fakeWindow) => {
+            const entry = document.createElement("li");
+            const button = document.createElement("button");
+            button.type = "button";
+            button.classList.add(this._config.taskbarItemClass);
+            if (fakeWindow === this.focused) {
+                button.classList.add(this._config.taskbarItemActiveClass);
+                button.setAttribute("aria-current", "true");
+            }
+            button.textContent = fakeWindow.titlebarText?.textContent?.trim() || "window";
+            button.addEventListener("click", () => this.activate(fakeWindow));
+
+            entry.appendChild(button);
+            return entry;
+        });
+
+        this.taskbar.replaceChildren(...entries);
     }
 }
@@ -0,0 +1,141 @@
+/** @summary Site service worker, keeps the Unity builds of the played games for offline play. The games ask for the precaching, see unity-launcher.js */
+
+/** Cache names are `{prefix}{game id}:{build name}`, e.g. `unity-build:fall-xtra:fx-2.3`. main.js reads these too. */
+const BuildCachePrefix = "unity-build:";
+/** Build files that went through {@link handleFetch} before their game asked for the precaching, so they aren't downloaded twice. */
+const StagingCacheName = "unity-build-staging";
+
+/**
+ * Build files have the build name in their file name, so they never change and can be served from the cache first.
+ * Everything else cached (the game page, manifest, styles) is served from the network first, falling back to the cache when offline.
+ * 
+ * @param {URL} url
+ * @returns {boolean}
+ */
+const isBuildFile = (url) => /\.(unityweb|loader\.js)$/.test(url.pathname);
+
+/**
+ * Cache the given game files, evicting the caches of the other builds of the game.
+ * The files were just loaded by the game, so they are taken from the staging cache or the browser's HTTP cache instead of being downloaded again.
+ * 
+ * @param {{ id: string, version: string, urls: string[] }} data
+ */
+const precache = async ({ id, version, urls }) => {
+    const cacheName = `${BuildCachePrefix}${id}:${version}`;
+    const cache = await caches.open(cacheName);
+    const staging = await caches.open(StagingCacheName);
+
+    for (const url of urls) {
+        // Build files won't change, the others are refreshed
+        if (isBuildFile(new URL(url)) && await cache.match(url)) {
+            continue;
+        }
+
+        const staged = await staging.match(url, { ignoreSearch: true });
+        if (staged) {
+            await cache.put(url, staged);
+            await staging.delete(url, { ignoreSearch: true });
+            continue;
+        }
+
+        // The page wasn't controlled yet (first visit), "force-cache" still doesn't go to the network for what the game just loaded
+        const response = await fetch(url, { cache: "force-cache" });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for "${url}"`);
+        }
+        await cache.put(url, response);
+    }
+
+    for (const key of await caches.keys()) {
+        if (key.startsWith(`${BuildCachePrefix}${id}:`) && key !== cacheName) {
+            await caches.delete(key);
+        }
+    }
+};
+
+/**
+ * Find the build cache that has the request.
+ * 
+ * @param {Request} request
+ * @returns {Promise<{ cache: Cache, response: Response } | null>}
+ */
+const findCached = async (request) => {
+    for (const key of await caches.keys()) {
+        if (!key.startsWith(BuildCachePrefix)) {
+            continue;
+        }
+
+        const cache = await caches.open(key);
+        const response = await cache.match(request, { ignoreSearch: true });
+        if (response) {
+            return { cache, response };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const handleFetch = async (request) => {
+    const cached = await findCached(request);
+    if (!cached) {
+        const response = await fetch(request);
+        if (response.ok && isBuildFile(new URL(request.url))) {
+            // Kept for the precache message that follows once the game has loaded
+            const staging = await caches.open(StagingCacheName);
+            await staging.put(request, response.clone());
+        }
+
+        return response;
+    }
+    if (isBuildFile(new URL(request.url))) {
+        return cached.response;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cached.cache.put(request, response.clone());
+        }
+
+        return response;
+    } catch (e) {
+        // offline
+        return cached.response;
+    }
+};
+
+self.addEventListener("install", () => {
+    self.skipWaiting();
+});
+self.addEventListener("activate", (e) => {
+    // Staged files of games that never asked for the precaching (not offline, failed to start) don't stay around
+    e.waitUntil(Promise.all([self.clients.claim(), caches.delete(StagingCacheName)]));
+});
+
+self.addEventListener("message", (e) => {
+    if (e.data?.type !== "precache") {
+        return;
+    }
+
+    const { id, version } = e.data;
+    e.waitUntil(precache(e.data)
+        .then(() => e.source?.postMessage({ type: "precached", id, version }))
+        .catch((error) => {
+            console.warn(`[sw] failed to precache game '${id}' (${version})`, error);
+            e.source?.postMessage({ type: "precacheFailed", id, version, message: String(error) });
+        }));
+});
+
+self.addEventListener("fetch", (e) => {
+    const url = new URL(e.request.url);
+    // Only the games are cached, the rest of the site goes to the network as usual
+    if (e.request.method !== "GET" || url.origin !== self.location.origin || !(url.pathname.startsWith("/games/") || url.pathname.startsWith("/assets/"))) {
+        return;
+    }
+
+    e.respondWith(handleFetch(e.request));
+});